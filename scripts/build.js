@@ -24,11 +24,23 @@ const fileMappings = [
   { src: 'main/index.js', dest: 'main.js' },
   { src: 'main/resolve.js', dest: 'resolve.js' },
   { src: 'main/bridge.js', dest: 'bridge.js' },
+  { src: 'main/handlers.js', dest: 'handlers.js' },
+  { src: 'main/paths.js', dest: 'paths.js' },
+  { src: 'main/lua.js', dest: 'lua.js' },
+  { src: 'main/schema.js', dest: 'schema.js' },
+  { src: 'main/queue.js', dest: 'queue.js' },
   { src: 'main/preload.js', dest: 'preload.js' },
   { src: 'renderer/index.html', dest: 'index.html' },
   { src: 'renderer/styles.css', dest: 'styles.css' },
   { src: 'renderer/app.js', dest: 'app.js' },
   { src: 'shared/easing.js', dest: 'easing.js' },
+  { src: 'shared/keyframes.js', dest: 'keyframes.js' },
+  { src: 'shared/expand.js', dest: 'expand.js' },
+  { src: 'shared/css.js', dest: 'css.js' },
+  { src: 'shared/samples.js', dest: 'samples.js' },
+  { src: 'shared/svg.js', dest: 'svg.js' },
+  { src: 'shared/aftereffects.js', dest: 'aftereffects.js' },
+  { src: 'shared/lottie.js', dest: 'lottie.js' },
 ];
 
 // Clean dist
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * Simulate script - Run the Lua bridge against a fake Fusion comp
+ *
+ * Exercises the real bridge queries and writes on any OS, no Resolve needed:
+ * - Snapshot of tools, selection, animated inputs and keyframes
+ * - Reading keyframes, including Point inputs animated by a path
+ * - Applying easings (bezier, multi-key, stepped) and reading them back
+ * - Lua error reporting
+ * - getCurrentComp against each fake Resolve scenario in src/dev/scenarios
+ * - The IPC handlers (src/main/handlers.js) on the default scenario, with
+ *   stand-ins for Electron's dialog and clipboard
+ *
+ * Usage: node scripts/simulate.js [fixture.json]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeComp } = require('../src/dev/fusion');
+const { createFakeBackend, loadScenario } = require('../src/dev/resolve');
+const bridge = require('../src/main/bridge');
+const resolve = require('../src/main/resolve');
+const { createHandlers } = require('../src/main/handlers');
+
+const fixture = process.argv[2] || path.join(__dirname, '../src/dev/fixtures/comp.json');
+const SCENARIOS_PATH = path.join(__dirname, '../src/dev/scenarios');
+
+// What After Effects puts on the clipboard when keyframes are copied
+const AE_KEYFRAME_DATA = [
+  'Adobe After Effects 8.0 Keyframe Data', '',
+  '\tUnits Per Second\t25', '',
+  'Transform\tOpacity', '\tFrame\tpercent\t', '\t0\t0\t', '\t25\t100\t', '',
+  'End of Keyframe Data',
+].join('\r\n');
+
+let passed = 0;
+let failed = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${e.message}`);
+    failed++;
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * First animated input of the first tool that has one
+ */
+function firstAnimated(snapshot) {
+  for (const tool of snapshot.tools) {
+    const input = tool.inputs.find(i => i.keyframes.length >= 2);
+    if (input) return { tool, input };
+  }
+  return null;
+}
+
+async function main() {
+  console.log('=== Resolve Easing Bridge Simulation ===\n');
+  console.log(`Fixture: ${path.relative(process.cwd(), fixture)}\n`);
+
+  const comp = createFakeComp(fixture);
+  let snapshot = null;
+
+  await check('Snapshot reads tools, selection and keyframes', async () => {
+    snapshot = await bridge.getSnapshot(comp);
+    expect(!snapshot.error, snapshot.error);
+    expect(snapshot.tools.length === comp.getState().tools.length, 'Tool count differs from fixture');
+    const selected = comp.getState().tools.filter(t => t.selected).map(t => t.name);
+    expect(JSON.stringify(snapshot.selected) === JSON.stringify(selected), 'Selection differs from fixture');
+  });
+
+  const target = snapshot && !snapshot.error ? firstAnimated(snapshot) : null;
+  if (!target) {
+    console.log('\nFixture has no input with two or more keyframes; skipping writes');
+  } else {
+    const { tool, input } = target;
+    const [k1, k2] = input.keyframes;
+    console.log(`\nTarget: ${tool.name}.${input.id} frames ${k1.frame}-${k2.frame}\n`);
+
+    await check('List queries agree with the snapshot', async () => {
+      const tools = await bridge.getAllTools(comp);
+      expect(tools.length === snapshot.tools.length, 'getAllTools count differs');
+      const inputs = await bridge.getAnimatedInputs(comp, tool.name);
+      expect(inputs.some(i => i.id === input.id), 'getAnimatedInputs is missing the target');
+      expect(await bridge.hasKeyframes(comp, tool.name, input.id) === true, 'hasKeyframes is false');
+    });
+
+    await check('Bezier easing writes handles on the pair', async () => {
+      const undo = comp.getState().undo.length;
+      const result = await bridge.applyEasing(comp, tool.name, input.id, k1.frame, k2.frame, 'easeInOutCubic');
+      expect(result.success, result.error);
+      expect(comp.getState().undo.length === undo + 1, 'Apply must be a single undo entry');
+      const keys = await bridge.getKeyframes(comp, tool.name, input.id);
+      const a = keys.find(k => k.frame === k1.frame);
+      const b = keys.find(k => k.frame === k2.frame);
+      expect(a.RH && a.RH[0] > 0, 'First key has no RH');
+      expect(b.LH && b.LH[0] < 0, 'Second key has no LH');
+    });
+
+    await check('Bounce adds intermediate keys', async () => {
+      const result = await bridge.applyEasing(comp, tool.name, input.id, k1.frame, k2.frame, 'easeOutBounce');
+      expect(result.success, result.error);
+      const keys = await bridge.getKeyframes(comp, tool.name, input.id);
+      const inside = keys.filter(k => k.frame > k1.frame && k.frame < k2.frame);
+      expect(inside.length === result.keyframeCount - 2, `Expected ${result.keyframeCount - 2} keys inside, got ${inside.length}`);
+    });
+
+    await check('Hold replaces the pair with a StepOut flag', async () => {
+      const result = await bridge.applyEasing(comp, tool.name, input.id, k1.frame, k2.frame, 'hold');
+      expect(result.success, result.error);
+      const keys = await bridge.getKeyframes(comp, tool.name, input.id);
+      expect(!keys.some(k => k.frame > k1.frame && k.frame < k2.frame), 'Bounce keys were not removed');
+      expect(keys.find(k => k.frame === k1.frame).flags.StepOut, 'StepOut not set');
+    });
+
+    await check('Extended spring keeps the keys after the pair', async () => {
+      const later = (await bridge.getKeyframes(comp, tool.name, input.id)).filter(k => k.frame > k2.frame);
+      const spring = { spring: { damping: 4 }, mode: 'extend' };
+      const result = await bridge.applyEasing(comp, tool.name, input.id, k1.frame, k2.frame, spring);
+      expect(result.success, result.error);
+      const keys = await bridge.getKeyframes(comp, tool.name, input.id);
+      for (const key of later) {
+        expect(keys.some(k => k.frame === key.frame && k.value === key.value), `Key at frame ${key.frame} was removed`);
+      }
+    });
+  }
+
+  await check('Missing tools are reported, not empty', async () => {
+    const result = await bridge.getAllInputs(comp, 'No Such Tool');
+    expect(result.error === 'Tool not found' && !result.code, `Unexpected result: ${JSON.stringify(result)}`);
+  });
+
+  await check('Lua errors carry line and snippet', async () => {
+    const result = await bridge.executeLua(comp, 'local tool = comp:FindTool("Nope")\nreturn tool.Name');
+    expect(result.code === bridge.BRIDGE_ERRORS.LUA, `Expected a Lua error, got ${JSON.stringify(result)}`);
+    expect(result.luaError.line === 2 && result.luaError.snippet === 'return tool.Name', 'Wrong error location');
+  });
+
+  console.log('\n## Resolve Scenarios\n');
+  for (const file of fs.readdirSync(SCENARIOS_PATH).filter(f => f.endsWith('.json')).sort()) {
+    const scenarioPath = path.join(SCENARIOS_PATH, file);
+    const { expect: expected } = loadScenario(scenarioPath);
+    await check(`${file}: ${expected || 'comp loads'}`, async () => {
+      resolve.useBackend(createFakeBackend(scenarioPath));
+      const result = await resolve.getCurrentComp();
+      if (expected) {
+        expect(result.error === expected, `Expected "${expected}", got ${JSON.stringify(result.error)}`);
+        return;
+      }
+      expect(!result.error, result.error);
+      const tools = await bridge.getAllTools(result.comp);
+      expect(Array.isArray(tools), tools.error);
+    });
+  }
+
+  console.log('\n## IPC Handlers\n');
+  resolve.useBackend(createFakeBackend(path.join(SCENARIOS_PATH, 'default.json')));
+  const exportPath = path.join(os.tmpdir(), `resolve_easing_simulate_${process.pid}.json`);
+  let saveCanceled = false;
+  const handlers = createHandlers({
+    dialog: {
+      showOpenDialog: async () => ({ canceled: true, filePaths: [] }),
+      showSaveDialog: async () => (saveCanceled ? { canceled: true } : { canceled: false, filePath: exportPath }),
+    },
+    clipboard: { readText: () => AE_KEYFRAME_DATA },
+    getWindow: () => null,
+  });
+
+  await check('get-comp-info and get-snapshot reach the fake comp', async () => {
+    const info = await handlers['get-comp-info']();
+    expect(info.connected && info.name === 'Composition 1', `Unexpected comp info: ${JSON.stringify(info)}`);
+    const { snapshot, error } = await handlers['get-snapshot']();
+    expect(!error, error);
+    expect(snapshot.selected.includes('Transform1'), 'Transform1 is not selected');
+  });
+
+  await check('apply-easing writes keys; bad specs come back as { error }', async () => {
+    const result = await handlers['apply-easing']('Transform1', 'Size', 0, 24, 'easeOutBounce');
+    expect(result.success, result.error);
+    const { keyframes } = await handlers['get-keyframes']('Transform1', 'Size');
+    expect(keyframes.filter(k => k.frame > 0 && k.frame < 24).length === result.keyframeCount - 2, 'Bounce keys missing');
+    const invalid = await handlers['apply-easing']('Transform1', 'Size', 0, 24, { steps: 0 });
+    expect(typeof invalid.error === 'string' && !invalid.success, `Unexpected result: ${JSON.stringify(invalid)}`);
+  });
+
+  await check('Bridge errors keep their code, with empty lists', async () => {
+    const missing = await handlers['get-all-inputs']('No Such Tool');
+    expect(missing.error === 'Tool not found' && !missing.code && missing.inputs.length === 0, JSON.stringify(missing));
+    // The first read runs at once; the third cancels the second while it waits
+    const [first, second, third] = await Promise.all([
+      handlers['get-keyframes']('Transform1', 'Size'),
+      handlers['get-keyframes']('Transform1', 'Angle'),
+      handlers['get-keyframes']('Transform1', 'Center'),
+    ]);
+    expect(!first.error && !third.error, first.error || third.error);
+    expect(second.code === bridge.BRIDGE_ERRORS.CANCELED && second.keyframes.length === 0, JSON.stringify(second));
+  });
+
+  await check('export-lottie writes the animation where the dialog says', async () => {
+    try {
+      const result = await handlers['export-lottie']('Merge "Title, Lower"', 'Blend');
+      expect(result.success && result.filePath === exportPath, JSON.stringify(result));
+      const doc = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+      const property = doc.layers[0].ef[0].ef[0].v;
+      expect(doc.fr === 24 && property.a === 1 && property.k.length === 2, 'Exported animation differs from the fixture');
+      saveCanceled = true;
+      expect((await handlers['export-lottie']('Merge "Title, Lower"', 'Blend')).canceled, 'Cancel not reported');
+    } finally {
+      if (fs.existsSync(exportPath)) fs.unlinkSync(exportPath);
+    }
+  });
+
+  await check('parse-ae-keyframes reads the clipboard when given no text', async () => {
+    const data = await handlers['parse-ae-keyframes']();
+    expect(!data.error, data.error);
+    expect(data.frameRate === 25 && data.properties[0].channels[0].keyframes[1].value === 100, 'Keyframe Data parsed incorrectly');
+  });
+  resolve.useBackend(null);
+
+  console.log('\n---');
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -7,6 +7,7 @@
  * - Required files present
  * - Manifest validation
  * - Easing function tests
+ * - Bridge queries against the fake Fusion comp (needs fengari)
  * 
  * Usage: node scripts/validate.js
  */
@@ -17,6 +18,7 @@ const { execSync } = require('child_process');
 
 const SRC_PATH = path.join(__dirname, '../src');
 const ROOT_PATH = path.join(__dirname, '..');
+const FIXTURE_PATH = path.join(SRC_PATH, 'dev/fixtures/comp.json');
 
 let passed = 0;
 let failed = 0;
@@ -33,6 +35,18 @@ function check(name, fn) {
   }
 }
 
+async function checkAsync(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${e.message}`);
+    failed++;
+  }
+}
+
 function fileExists(filepath, description) {
   return () => {
     const fullPath = path.join(ROOT_PATH, filepath);
@@ -72,6 +86,590 @@ function testEasingFunctions() {
   };
 }
 
+function testInfluenceEasing() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const at = t => easing.evaluateInfluence(33, 33, t);
+    if (at(0) !== 0 || at(1) !== 1) {
+      throw new Error('Influence curve must start at 0 and end at 1');
+    }
+    if (Math.abs(at(0.5) - 0.5) > 1e-6) {
+      throw new Error(`Symmetric influence should pass through 0.5, got ${at(0.5)}`);
+    }
+    const { rh1, lh2 } = easing.influenceToHandles(50, 25, 0, 0, 100, 1);
+    if (rh1.x !== 50 || rh1.y !== 0 || lh2.x !== -25 || lh2.y !== 0) {
+      throw new Error('Influence handles must be flat relative offsets');
+    }
+  };
+}
+
+function testKeyframeModel() {
+  return () => {
+    const keyframes = require(path.join(SRC_PATH, 'shared/keyframes.js'));
+    const parsed = keyframes.fromFusionFormat({
+      68: { 1: 1, LH: { 1: -5, 2: -0.5 } },
+      33: [0],
+      50: 0.5,
+    });
+    if (parsed.map(kf => kf.frame).join() !== '33,50,68') {
+      throw new Error('Keyframes must be sorted by frame');
+    }
+    if (parsed[2].value !== 1 || parsed[2].LH[0] !== -5 || parsed[1].value !== 0.5) {
+      throw new Error('Keyframe tables, arrays and scalars must normalize');
+    }
+
+    const eased = keyframes.applyEasingToKeyframePair(parsed, 'linear', 33, 50);
+    const rh = eased[0].RH;
+    if (Math.abs(rh[0] - 17 / 3) > 1e-9 || Math.abs(rh[1] - 0.5 / 3) > 1e-9) {
+      throw new Error('Linear RH must be a relative 1/3 offset');
+    }
+    if (eased[2].LH[0] !== -5 || parsed[0].RH) {
+      throw new Error('Other handles must be preserved and input left untouched');
+    }
+
+    const roundTrip = keyframes.fromFusionFormat(keyframes.toFusionFormat(eased));
+    if (JSON.stringify(roundTrip) !== JSON.stringify(eased)) {
+      throw new Error('toFusionFormat/fromFusionFormat must round-trip');
+    }
+  };
+}
+
+function testCubicBezier() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    // CSS "ease" at 50% - matches browser output
+    const ease = easing.cubicBezier(0.25, 0.1, 0.25, 1);
+    if (Math.abs(ease(0.5) - 0.8024033877) > 1e-6) {
+      throw new Error(`cubic-bezier(.25,.1,.25,1)(0.5) = ${ease(0.5)}`);
+    }
+    // Flat x slope forces the bisection fallback
+    const { value, slope } = easing.evaluateCubicBezier([1, 0, 0, 1], 0.25);
+    const check = easing.evaluateCubicBezier([1, 0, 0, 1], 0.2500001).value;
+    if (!(value > 0 && value < 0.5) || Math.abs(check - value) > 1e-4 || !Number.isFinite(slope)) {
+      throw new Error('Bisection fallback must solve cubic-bezier(1,0,0,1)');
+    }
+  };
+}
+
+function testBezierFit() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const known = easing.fitCubicBezier(easing.cubicBezier(0.42, 0, 0.58, 1));
+    if (known.maxError > 1e-3) {
+      throw new Error(`Fitting an exact bezier left ${known.maxError} error`);
+    }
+    if (!easing.toControlPoints('easeInOutCubic')) {
+      throw new Error('easeInOutCubic must be representable as handles');
+    }
+    if (easing.toControlPoints('easeOutBounce')) {
+      throw new Error('easeOutBounce must not be forced into a single bezier');
+    }
+    for (const { name, overshoots, bezier } of easing.listEasings()) {
+      if (overshoots || !bezier) continue;
+      const [, y1, , y2] = easing.toControlPoints(name);
+      if (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1) {
+        throw new Error(`${name} does not overshoot but its fit does: y1 ${y1}, y2 ${y2}`);
+      }
+    }
+  };
+}
+
+function testExpansion() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const { expandEasing } = require(path.join(SRC_PATH, 'shared/expand.js'));
+    // One key per bounce contact, exact (parabolas are cubic-representable)
+    const bounce = expandEasing(easing.easings.easeOutBounce);
+    if (bounce.nodes.length !== 5 || bounce.maxError > 1e-4) {
+      throw new Error(`easeOutBounce: ${bounce.nodes.length} keys, error ${bounce.maxError}`);
+    }
+    for (const name of ['easeOutElastic', 'easeInOutElastic', 'easeInOutBounce']) {
+      const { maxError } = expandEasing(easing.easings[name]);
+      if (maxError > 0.005) throw new Error(`${name} expansion error ${maxError}`);
+    }
+  };
+}
+
+function testSpring() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const { easingToNodes } = require(path.join(SRC_PATH, 'shared/expand.js'));
+    const spring = { mass: 1, stiffness: 100, damping: 10, velocity: 0 };
+    const settle = easing.springSettleDuration(spring);
+    // Envelope e^(-5t) drops below 0.1% after ~1.4s
+    if (settle < 1 || settle > 1.5) throw new Error(`Unexpected settle duration ${settle}`);
+    const fn = easing.createSpringEasing(spring);
+    if (fn(0) !== 0 || fn(1) !== 1) throw new Error('Spring easing must run 0 to 1');
+
+    const nodes = easingToNodes({ spring, mode: 'extend' });
+    if (!nodes.some(n => n.t === 1) || nodes[nodes.length - 1].t <= 1) {
+      throw new Error('Extended spring must keep the pair and add settle keys');
+    }
+  };
+}
+
+function testEasingParams() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    // Defaults must reproduce the classic constants (7.5625 / 2.75)
+    const classic = t => {
+      if (t < 1 / 2.75) return 7.5625 * t * t;
+      if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+      if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+      return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    };
+    for (let t = 0; t <= 1; t += 0.01) {
+      if (Math.abs(easing.easings.easeOutBounce(t) - classic(t)) > 1e-9) {
+        throw new Error(`easeOutBounce(${t}) drifted from the classic curve`);
+      }
+    }
+    const tuned = easing.applyEasing('easeOutBack', 0.5, { overshoot: 3 });
+    if (Math.abs(tuned - 1.25) > 1e-9) throw new Error(`easeOutBack overshoot 3 at 0.5 = ${tuned}`);
+    const clamped = easing.resolveParams('easeOutBounce', { count: 4.6, restitution: 2 });
+    if (clamped.count !== 5 || clamped.restitution !== 0.95) {
+      throw new Error('Parameters must be rounded and clamped to their schema');
+    }
+  };
+}
+
+function testEasingRegistry() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const back = easing.getEasingInfo('easeOutBack');
+    if (!back || back.category !== 'Back' || back.direction !== 'out' || !back.overshoots || !back.bezier) {
+      throw new Error('easeOutBack metadata is wrong');
+    }
+    if (easing.getEasingInfo('easeOutBounce').bezier) {
+      throw new Error('easeOutBounce must not be bezier-representable');
+    }
+    easing.registerEasing('validateSmoothstep', { fn: t => t * t * (3 - 2 * t) });
+    if (!easing.getEasingNames().includes('validateSmoothstep') || !easing.toControlPoints('validateSmoothstep')) {
+      throw new Error('Registered easings must resolve like built-ins');
+    }
+    // Object.prototype keys are not easing names
+    const { easingToNodes } = require(path.join(SRC_PATH, 'shared/expand.js'));
+    for (const name of ['toString', 'constructor', '__proto__']) {
+      if (easing.toControlPoints(name) !== null || easing.toEasingFunction(name) !== null || easingToNodes(name) !== null) {
+        throw new Error(`"${name}" must not resolve as an easing`);
+      }
+    }
+  };
+}
+
+function testCombinators() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const near = (a, b) => Math.abs(a - b) < 1e-9;
+    for (const t of [0.2, 0.5, 0.8]) {
+      if (!near(easing.reverseEasing('easeOutCubic')(t), easing.easings.easeInCubic(t))) {
+        throw new Error('reverse(easeOutCubic) must equal easeInCubic');
+      }
+      if (!near(easing.mirrorEasing('easeInCubic')(t), easing.easings.easeInOutCubic(t))) {
+        throw new Error('mirror(easeInCubic) must equal easeInOutCubic');
+      }
+      if (!near(easing.strengthEasing('easeInCubic', 0)(t), t)) {
+        throw new Error('strength 0 must be linear');
+      }
+    }
+    const chained = easing.combine({ op: 'chain', easings: ['easeInExpo', 'easeOutSine'], at: 0.4 });
+    if (!near(chained(0.4), 0.4) || chained(0) !== 0 || !near(chained(1), 1)) {
+      throw new Error('chain must be continuous through the split point');
+    }
+  };
+}
+
+function testSteps() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const { easingToNodes } = require(path.join(SRC_PATH, 'shared/expand.js'));
+    // CSS Easing Level 2 reference values for steps(4, ...) at t = 0, 0.3, 0.99, 1
+    const expected = {
+      'jump-start': [0.25, 0.5, 1, 1],
+      'jump-end': [0, 0.25, 0.75, 1],
+      'jump-none': [0, 1 / 3, 1, 1],
+      'jump-both': [0.2, 0.4, 0.8, 1],
+    };
+    for (const [jump, values] of Object.entries(expected)) {
+      const fn = easing.createStepsEasing(4, jump);
+      [0, 0.3, 0.99, 1].forEach((t, i) => {
+        if (Math.abs(fn(t) - values[i]) > 1e-9) {
+          throw new Error(`steps(4, ${jump}) at ${t} = ${fn(t)}, expected ${values[i]}`);
+        }
+      });
+    }
+    if (easing.toControlPoints('hold') !== null) {
+      throw new Error('hold must not fit a bezier');
+    }
+    const nodes = easingToNodes({ steps: 4, jump: 'jump-start' });
+    if (nodes.length !== 6 || !nodes[1].flags.StepIn || nodes[1].value !== 0.25) {
+      throw new Error('jump-start must hold its first step with a StepIn/StepOut key');
+    }
+  };
+}
+
+function testCssEasing() {
+  return () => {
+    const { parseCssEasing, toCss } = require(path.join(SRC_PATH, 'shared/css.js'));
+    const { toEasingFunction } = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const roundTrips = ['ease-in-out', 'cubic-bezier(0.17, 0.67, 0.83, 0.67)', 'steps(4, jump-start)'];
+    for (const css of roundTrips) {
+      if (toCss(parseCssEasing(css)) !== css) {
+        throw new Error(`${css} did not round-trip`);
+      }
+    }
+    // Missing inputs are spread evenly: 0.5 lands at 50%
+    const fn = toEasingFunction(parseCssEasing('linear(0, 0.5, 1 100%)'));
+    if (Math.abs(fn(0.25) - 0.25) > 1e-9) {
+      throw new Error('linear() stops interpolate incorrectly');
+    }
+  };
+}
+
+function testLinearExport() {
+  return () => {
+    const { toLinearStops, toCss, parseCssEasing, LINEAR_TOLERANCE } = require(path.join(SRC_PATH, 'shared/css.js'));
+    const { toEasingFunction } = require(path.join(SRC_PATH, 'shared/easing.js'));
+    for (const name of ['easeOutBounce', 'easeOutElastic']) {
+      const { stops, maxError } = toLinearStops(name);
+      if (maxError > LINEAR_TOLERANCE + 1e-9 || stops.length > 100) {
+        throw new Error(`${name}: ${stops.length} stops, error ${maxError}`);
+      }
+      // The exported string must parse back to the same curve
+      const fn = toEasingFunction(parseCssEasing(toCss(name)));
+      const target = toEasingFunction(name);
+      for (let t = 0; t <= 1; t += 0.01) {
+        if (Math.abs(fn(t) - target(t)) > 2 * LINEAR_TOLERANCE) {
+          throw new Error(`${name} linear() deviates at t=${t.toFixed(2)}`);
+        }
+      }
+    }
+    if (toLinearStops('linear').stops.length !== 2) {
+      throw new Error('linear must export as 2 stops');
+    }
+    // A 3.6% cubic-bezier fit is not an equivalent, unless asked for
+    for (const name of ['easeInOutExpo', 'easeInOutCirc', 'easeInOutBack']) {
+      const fn = toEasingFunction(parseCssEasing(toCss(name)));
+      const target = toEasingFunction(name);
+      for (let t = 0; t <= 1; t += 0.01) {
+        if (Math.abs(fn(t) - target(t)) > 2 * LINEAR_TOLERANCE) {
+          throw new Error(`${name} exported as ${toCss(name).slice(0, 40)} deviates at t=${t.toFixed(2)}`);
+        }
+      }
+    }
+    if (!toCss('easeInOutExpo', { tolerance: 0.05 }).startsWith('cubic-bezier(')) {
+      throw new Error('A looser tolerance must allow the cubic-bezier() fit');
+    }
+  };
+}
+
+function testSampledEasing() {
+  return () => {
+    const easing = require(path.join(SRC_PATH, 'shared/easing.js'));
+    const { parseSamples } = require(path.join(SRC_PATH, 'shared/samples.js'));
+    const points = parseSamples('frame,value\n0,0\n12,100\n24,100\n');
+    const monotone = easing.createSampledEasing(points);
+    const free = easing.createSampledEasing(points, { monotone: false });
+    let overshoots = false;
+    for (let t = 0; t <= 1; t += 0.01) {
+      if (monotone(t) > 1 + 1e-9 || monotone(t + 0.01) < monotone(t) - 1e-9) {
+        throw new Error(`Monotone curve overshoots at t=${t.toFixed(2)}`);
+      }
+      if (free(t) > 1) overshoots = true;
+    }
+    if (!overshoots) {
+      throw new Error('Non-monotone curve should overshoot past a steep sample');
+    }
+    if (Math.abs(monotone(0.5) - 1) > 1e-9) {
+      throw new Error('Curve must pass through its samples');
+    }
+  };
+}
+
+function testSvgImport() {
+  return () => {
+    const { svgToEasing } = require(path.join(SRC_PATH, 'shared/svg.js'));
+    const { easingToNodes } = require(path.join(SRC_PATH, 'shared/expand.js'));
+    // Figma-style export: y points down, so the curve is drawn rising
+    const single = svgToEasing('M0,100 C42,100 58,0 100,0');
+    if (single.join() !== '0.42,0,0.58,1') {
+      throw new Error(`Single segment should map to handles, got ${single}`);
+    }
+    const multi = svgToEasing('M0 100 c30 0 40-110 60-110 S80 0 100 0');
+    const nodes = easingToNodes(multi);
+    if (nodes.length !== 3 || Math.abs(nodes[1].t - 0.6) > 1e-9 || Math.abs(nodes[1].value - 1.1) > 1e-9) {
+      throw new Error('Multi-segment path should map to one keyframe per joint');
+    }
+    // S mirrors the previous handle: flat into and out of the peak
+    if (Math.abs(nodes[1].LH[1]) > 1e-9 || Math.abs(nodes[1].RH[1]) > 1e-9) {
+      throw new Error('S command must reflect the previous control point');
+    }
+  };
+}
+
+function testAfterEffects() {
+  return () => {
+    const ae = require(path.join(SRC_PATH, 'shared/aftereffects.js'));
+    // AE's Easy Ease: zero speed, 33.33% influence on both sides
+    const third = 100 / 3;
+    const easy = { out: { speed: 0, influence: third }, in: { speed: 0, influence: third } };
+    const points = ae.aeEaseToControlPoints(easy, 24, 100, 24);
+    if (points.some((n, i) => Math.abs(n - [1 / 3, 0, 2 / 3, 1][i]) > 1e-9)) {
+      throw new Error(`Easy Ease should be [1/3, 0, 2/3, 1], got ${points}`);
+    }
+    const ease = { out: { speed: 150, influence: 50 }, in: { speed: -20, influence: 75 } };
+    const back = ae.controlPointsToAeEase(ae.aeEaseToControlPoints(ease, 30, 100, 30), 30, 100, 30);
+    if (Math.abs(back.out.speed - 150) > 1e-6 || Math.abs(back.in.influence - 75) > 1e-6) {
+      throw new Error('Speed/influence must round-trip');
+    }
+    const data = ae.parseAeKeyframeData([
+      'Adobe After Effects 8.0 Keyframe Data', '',
+      '\tUnits Per Second\t25', '',
+      'Transform\tPosition', '\tFrame\tX pixels\tY pixels\t', '\t0\t960\t540\t', '\t25\t1200\t600\t', '',
+      'End of Keyframe Data',
+    ].join('\r\n'));
+    const y = data.properties[0].channels[1];
+    if (data.frameRate !== 25 || y.name !== 'Y pixels' || y.keyframes[1].value !== 600) {
+      throw new Error('Keyframe Data clipboard parsed incorrectly');
+    }
+  };
+}
+
+function testLottieExport() {
+  return () => {
+    const { toLottieKeyframes, toLottieAnimation } = require(path.join(SRC_PATH, 'shared/lottie.js'));
+    const { applyEasingToKeyframePair } = require(path.join(SRC_PATH, 'shared/keyframes.js'));
+    // Apply ease-in-out handles, then export: tangents must come back normalized
+    const eased = applyEasingToKeyframePair([
+      { frame: 10, value: 0 },
+      { frame: 40, value: 300 },
+      { frame: 50, value: 300, flags: { StepIn: true } },
+    ], [0.42, 0, 0.58, 1], 10, 40);
+    const [k0, k1] = toLottieKeyframes(eased);
+    const near = (a, b) => Math.abs(a - b) < 1e-9;
+    if (!near(k0.o.x[0], 0.42) || !near(k0.o.y[0], 0) || !near(k0.i.x[0], 0.58) || !near(k0.i.y[0], 1)) {
+      throw new Error(`Tangents not normalized: ${JSON.stringify(k0)}`);
+    }
+    if (k1.h !== 1) {
+      throw new Error('Stepped segments must export as holds');
+    }
+    // StepOut holds k0's value; StepIn has already jumped to k1's
+    const [stepOut] = toLottieKeyframes([{ frame: 0, value: 0, flags: { StepOut: true } }, { frame: 10, value: 100 }]);
+    const [stepIn] = toLottieKeyframes([{ frame: 0, value: 0 }, { frame: 10, value: 100, flags: { StepIn: true } }]);
+    if (stepOut.h !== 1 || stepOut.s[0] !== 0 || stepIn.h !== 1 || stepIn.s[0] !== 100) {
+      throw new Error(`Holds carry the wrong value: StepOut ${stepOut.s[0]}, StepIn ${stepIn.s[0]}`);
+    }
+    const doc = toLottieAnimation({ keyframes: eased, frameRate: 24, inPoint: 0, outPoint: 59 });
+    if (doc.fr !== 24 || doc.op !== 60 || doc.layers[0].ef[0].ef[0].v.a !== 1) {
+      throw new Error('Lottie document missing frame rate, out point or animation');
+    }
+  };
+}
+
+function testLuaEmitter() {
+  return () => {
+    const { lua, luaString, luaValue } = require(path.join(SRC_PATH, 'main/lua.js'));
+    const hostile = 'Merge"1\\")\nos.exit() -- ü';
+    const literal = luaString(hostile);
+    // One literal, no raw quotes, newlines or non-ASCII bytes inside
+    if (!/^"(?:[^"\\\n\r\x80-\uffff]|\\.)*"$/.test(literal)) {
+      throw new Error(`Unsafe Lua string literal: ${literal}`);
+    }
+    const code = String(lua`comp:FindTool(${hostile})`);
+    if (code !== `comp:FindTool(${literal})`) {
+      throw new Error('lua tag must interpolate values as literals');
+    }
+    const table = luaValue({ t: 0.5, LH: [-1e-7, 2], end: true, flags: { StepIn: true } });
+    if (table !== '{ t = 0.5, LH = { -1e-7, 2 }, ["end"] = true, flags = { StepIn = true } }') {
+      throw new Error(`Unexpected Lua table: ${table}`);
+    }
+    let threw = false;
+    try {
+      luaValue(NaN);
+    } catch (e) {
+      threw = true;
+    }
+    if (!threw) throw new Error('NaN must not be written as Lua');
+  };
+}
+
+function testResultSchema() {
+  return () => {
+    const { checkSchema } = require(path.join(SRC_PATH, 'main/schema.js'));
+    const { JSON_PRELUDE } = require(path.join(SRC_PATH, 'main/lua.js'));
+    const schema = [{ name: 'string', type: 'string', 'flags?': 'object' }];
+    if (checkSchema([{ name: 'Merge, 1', type: 'Merge' }], schema) !== null) {
+      throw new Error('Valid tool list rejected');
+    }
+    const problem = checkSchema([{ name: 'Merge1' }], schema);
+    if (problem !== 'result[0].type is missing') {
+      throw new Error(`Unexpected schema problem: ${problem}`);
+    }
+    if (checkSchema({ frameRate: NaN }, { frameRate: 'number' }) === null) {
+      throw new Error('NaN must not pass as a number');
+    }
+    if (!/function json\.encode/.test(JSON_PRELUDE)) {
+      throw new Error('JSON prelude must define json.encode');
+    }
+  };
+}
+
+function testRequestQueue() {
+  return () => {
+    const { createQueue } = require(path.join(SRC_PATH, 'main/queue.js'));
+    const queue = createQueue();
+    const never = () => new Promise(() => {});
+    queue.push(never); // Runs first and keeps the queue busy
+    const read = queue.push(never, { key: 'kf:A', supersede: 'keyframes' });
+    if (queue.push(never, { key: 'kf:A', supersede: 'keyframes' }) !== read) {
+      throw new Error('Identical pending reads must share one request');
+    }
+    queue.push(never, { key: 'kf:B', supersede: 'keyframes' });
+    if (queue.size() !== 2) throw new Error(`Superseded read still queued (size ${queue.size()})`);
+    queue.push(never, { write: true, key: 'kf:B', supersede: 'keyframes' });
+    queue.push(never, { write: true, key: 'kf:B', supersede: 'keyframes' });
+    if (queue.size() !== 4) throw new Error('Writes must never be merged or cancelled');
+  };
+}
+
+function testSnapshot() {
+  return async () => {
+    const { createFakeComp } = require(path.join(SRC_PATH, 'dev/fusion.js'));
+    const bridge = require(path.join(SRC_PATH, 'main/bridge.js'));
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+    const snapshot = await bridge.getSnapshot(createFakeComp(fixture));
+    if (snapshot.error) throw new Error(snapshot.error);
+
+    const names = fixture.tools.map(t => t.name);
+    if (JSON.stringify(snapshot.tools.map(t => t.name)) !== JSON.stringify(names)) {
+      throw new Error(`Snapshot tools: ${snapshot.tools.map(t => t.name).join(', ')}`);
+    }
+    const selected = fixture.tools.filter(t => t.selected).map(t => t.name);
+    if (JSON.stringify(snapshot.selected) !== JSON.stringify(selected)) {
+      throw new Error(`Snapshot selection: ${snapshot.selected.join(', ')}`);
+    }
+    fixture.tools.forEach((tool, i) => {
+      const animated = tool.inputs.filter(input => input.keyframes);
+      const inputs = snapshot.tools[i].inputs;
+      if (inputs.map(input => input.id).join() !== animated.map(input => input.id).join()) {
+        throw new Error(`${tool.name}: animated inputs ${inputs.map(input => input.id).join(', ')}`);
+      }
+      animated.forEach((input, j) => {
+        const got = inputs[j].keyframes.map(k => `${k.frame}=${k.value}`).join();
+        const want = input.keyframes.map(k => `${k.frame}=${k.value}`).join();
+        if (got !== want || inputs[j].keyframeCount !== input.keyframes.length) {
+          throw new Error(`${tool.name}.${input.id} keyframes: ${got}`);
+        }
+      });
+    });
+  };
+}
+
+/**
+ * Stand-in comp whose Execute writes `content` as the result file,
+ * or nothing at all when content is undefined
+ */
+function stubComp(content) {
+  return {
+    async Execute(code) {
+      const target = String(code).match(/os\.rename\("[^"]+", "([^"]+)"\)/);
+      if (content !== undefined && target) fs.writeFileSync(target[1], content);
+    },
+  };
+}
+
+function testBridgeErrors() {
+  return async () => {
+    const { createFakeComp } = require(path.join(SRC_PATH, 'dev/fusion.js'));
+    const bridge = require(path.join(SRC_PATH, 'main/bridge.js'));
+    const { TIMEOUT, EMPTY, INVALID, HOST } = bridge.BRIDGE_ERRORS;
+
+    const slow = await bridge.executeLua(createFakeComp(FIXTURE_PATH, { latency: 150 }), 'return "ok"', { timeout: 1000 });
+    if (slow.result !== 'ok') throw new Error(`Slow Fusion within the deadline: ${JSON.stringify(slow)}`);
+
+    // Queued behind the first, the second call still gets its own 100ms
+    const silent = stubComp();
+    const started = Date.now();
+    const timeouts = await Promise.all([
+      bridge.executeLua(silent, 'return 1', { timeout: 100 }),
+      bridge.executeLua(silent, 'return 2', { timeout: 100 }),
+    ]);
+    const elapsed = Date.now() - started;
+    if (!timeouts.every(r => r.code === TIMEOUT)) {
+      throw new Error(`Expected timeouts, got ${JSON.stringify(timeouts)}`);
+    }
+    if (elapsed < 190 || elapsed > 1000) throw new Error(`Two 100ms deadlines took ${elapsed}ms`);
+
+    const empty = await bridge.executeLua(createFakeComp(FIXTURE_PATH), 'return nil');
+    if (empty.code !== EMPTY) throw new Error(`Expected an empty result, got ${JSON.stringify(empty)}`);
+
+    const results = [
+      await bridge.executeLua(stubComp('{"result": "ok"'), 'return "ok"'),
+      await bridge.getAllTools(stubComp('{"result": "not json"}')),
+      await bridge.getAllTools(stubComp('{"result": "[1, 2]"}')),
+    ];
+    results.forEach((result, i) => {
+      if (result.code !== INVALID) throw new Error(`Garbage result ${i + 1}: ${JSON.stringify(result)}`);
+    });
+
+    for (const comp of [{}, null]) {
+      const host = await bridge.executeLua(comp, 'return 1');
+      if (host.code !== HOST || host.luaError) throw new Error(`Expected a host error, got ${JSON.stringify(host)}`);
+    }
+  };
+}
+
+function testQueueScope() {
+  return async () => {
+    const bridge = require(path.join(SRC_PATH, 'main/bridge.js'));
+    const { CANCELED } = bridge.BRIDGE_ERRORS;
+    const compA = stubComp('{"result": "[]"}');
+    const compB = stubComp('{"result": "[ ]"}');
+
+    // A write that never answers keeps the reads below pending
+    const busy = bridge.executeLua(stubComp(), 'return 0', { timeout: 50, write: true });
+    const [a, b, animatedA, animatedB, allA, oldKeys, newKeys] = await Promise.all([
+      bridge.executeLua(compA, 'return "[]"'),
+      bridge.executeLua(compB, 'return "[]"'),
+      bridge.getAnimatedInputs(compA, 'Merge1'),
+      bridge.getAnimatedInputs(compB, 'Merge1'),
+      bridge.getAllInputs(compA, 'Merge1'),
+      bridge.getKeyframes(compA, 'Merge1', 'Blend'),
+      bridge.getKeyframes(compA, 'Merge1', 'Size'),
+      busy,
+    ]);
+    if (a.result !== '[]' || b.result !== '[ ]') throw new Error('Reads on different comps were merged');
+    if ([animatedA, animatedB, allA].some(r => r.code === CANCELED)) {
+      throw new Error('Input reads on other comps or of another kind were cancelled');
+    }
+    if (oldKeys.code !== CANCELED || newKeys.code === CANCELED) {
+      throw new Error('A newer keyframe read must cancel the older one on the same comp');
+    }
+  };
+}
+
+function testLuaErrors() {
+  return async () => {
+    const { createFakeComp } = require(path.join(SRC_PATH, 'dev/fusion.js'));
+    const bridge = require(path.join(SRC_PATH, 'main/bridge.js'));
+    const comp = createFakeComp(FIXTURE_PATH);
+    const result = await bridge.executeLua(comp, 'local tool = comp:FindTool("Nope")\nreturn tool.Name');
+    if (result.code !== bridge.BRIDGE_ERRORS.LUA || !result.luaError) {
+      throw new Error(`Expected a Lua error, got ${JSON.stringify(result)}`);
+    }
+    const { line, snippet } = result.luaError;
+    if (line !== 2 || snippet !== 'return tool.Name') {
+      throw new Error(`Error reported at line ${line}: ${snippet}`);
+    }
+    if (!result.hint.startsWith('Line 2: return tool.Name')) {
+      throw new Error(`Unexpected hint: ${result.hint}`);
+    }
+    const syntax = await bridge.executeLua(comp, 'local x = 1\nreturn x +');
+    if (!syntax.luaError || syntax.luaError.line !== 2) {
+      throw new Error(`Syntax error line: ${JSON.stringify(syntax.luaError)}`);
+    }
+  };
+}
+
 console.log('=== Resolve Easing Plugin Validation ===\n');
 
 console.log('## Required Files\n');
@@ -82,30 +680,99 @@ console.log('\n## Source Files\n');
 check('main/index.js exists', fileExists('src/main/index.js'));
 check('main/resolve.js exists', fileExists('src/main/resolve.js'));
 check('main/bridge.js exists', fileExists('src/main/bridge.js'));
+check('main/handlers.js exists', fileExists('src/main/handlers.js'));
 check('main/preload.js exists', fileExists('src/main/preload.js'));
+check('main/paths.js exists', fileExists('src/main/paths.js'));
+check('main/lua.js exists', fileExists('src/main/lua.js'));
+check('main/schema.js exists', fileExists('src/main/schema.js'));
+check('main/queue.js exists', fileExists('src/main/queue.js'));
+check('dev/fusion.js exists', fileExists('src/dev/fusion.js'));
+check('dev/fixtures/comp.json exists', fileExists('src/dev/fixtures/comp.json'));
+check('dev/resolve.js exists', fileExists('src/dev/resolve.js'));
+check('dev/scenarios/default.json exists', fileExists('src/dev/scenarios/default.json'));
 check('renderer/index.html exists', fileExists('src/renderer/index.html'));
 check('renderer/app.js exists', fileExists('src/renderer/app.js'));
 check('shared/easing.js exists', fileExists('src/shared/easing.js'));
+check('shared/keyframes.js exists', fileExists('src/shared/keyframes.js'));
+check('shared/expand.js exists', fileExists('src/shared/expand.js'));
+check('shared/css.js exists', fileExists('src/shared/css.js'));
+check('shared/samples.js exists', fileExists('src/shared/samples.js'));
+check('shared/svg.js exists', fileExists('src/shared/svg.js'));
+check('shared/aftereffects.js exists', fileExists('src/shared/aftereffects.js'));
+check('shared/lottie.js exists', fileExists('src/shared/lottie.js'));
 
 console.log('\n## Syntax Checks\n');
 check('main/index.js syntax', syntaxCheck('src/main/index.js'));
 check('main/resolve.js syntax', syntaxCheck('src/main/resolve.js'));
 check('main/bridge.js syntax', syntaxCheck('src/main/bridge.js'));
+check('main/handlers.js syntax', syntaxCheck('src/main/handlers.js'));
 check('main/preload.js syntax', syntaxCheck('src/main/preload.js'));
+check('main/paths.js syntax', syntaxCheck('src/main/paths.js'));
+check('main/lua.js syntax', syntaxCheck('src/main/lua.js'));
+check('main/schema.js syntax', syntaxCheck('src/main/schema.js'));
+check('main/queue.js syntax', syntaxCheck('src/main/queue.js'));
+check('dev/fusion.js syntax', syntaxCheck('src/dev/fusion.js'));
+check('dev/fixtures/comp.json parses', () => JSON.parse(fs.readFileSync(path.join(SRC_PATH, 'dev/fixtures/comp.json'), 'utf8')));
+check('dev/resolve.js syntax', syntaxCheck('src/dev/resolve.js'));
+check('dev/scenarios parse', () => {
+  const dir = path.join(SRC_PATH, 'dev/scenarios');
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      throw new Error(`${file}: ${e.message}`);
+    }
+  }
+});
 check('renderer/app.js syntax', syntaxCheck('src/renderer/app.js'));
 check('scripts/build.js syntax', syntaxCheck('scripts/build.js'));
 check('scripts/deploy.js syntax', syntaxCheck('scripts/deploy.js'));
+check('scripts/simulate.js syntax', syntaxCheck('scripts/simulate.js'));
 
 console.log('\n## Easing Functions\n');
 check('Core easing functions present', testEasingFunctions());
+check('Influence easing curve and handles', testInfluenceEasing());
+check('Cubic-bezier evaluator matches browsers', testCubicBezier());
+check('Least-squares bezier fit', testBezierFit());
+check('Spring easing and settle duration', testSpring());
+check('Parameterized easing families', testEasingParams());
+check('Easing registry metadata', testEasingRegistry());
+check('Easing combinators', testCombinators());
+check('CSS steps() and hold easings', testSteps());
+check('CSS timing-function parse and serialize', testCssEasing());
+check('CSS linear() export within tolerance', testLinearExport());
+check('Sampled-point easing interpolation', testSampledEasing());
+check('SVG path easing import', testSvgImport());
+check('After Effects ease conversion and Keyframe Data', testAfterEffects());
+check('Lottie keyframe export', testLottieExport());
+
+console.log('\n## Keyframe Model\n');
+check('Fusion keyframe normalization and handles', testKeyframeModel());
+check('Elastic/Bounce multi-keyframe expansion', testExpansion());
+
+console.log('\n## Lua Bridge\n');
+check('Lua emitter escaping and literals', testLuaEmitter());
+check('Bridge result schemas', testResultSchema());
+check('Bridge request queue', testRequestQueue());
 
-console.log('\n---');
-console.log(`\nResults: ${passed} passed, ${failed} failed`);
+async function main() {
+  // Real bridge queries against the fake comp (src/dev/fusion.js)
+  console.log('\n## Bridge Round Trips\n');
+  await checkAsync('Snapshot reads tools, selection, animated inputs and keyframes', testSnapshot());
+  await checkAsync('Per-call deadlines and typed bridge errors', testBridgeErrors());
+  await checkAsync('Bridge queue keeps comps and read kinds apart', testQueueScope());
+  await checkAsync('Lua errors report line and snippet', testLuaErrors());
 
-if (failed > 0) {
-  console.log('\n⚠️  Fix the above issues before deploying.\n');
-  process.exit(1);
-} else {
-  console.log('\n✅ All checks passed! Ready to build.\n');
-  process.exit(0);
+  console.log('\n---');
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log('\n⚠️  Fix the above issues before deploying.\n');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All checks passed! Ready to build.\n');
+    process.exit(0);
+  }
 }
+
+main();
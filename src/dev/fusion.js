@@ -0,0 +1,242 @@
+/**
+ * Fake Fusion Comp - Run the bridge without Resolve
+ *
+ * A stand-in for the comp object WorkflowIntegration hands us. Execute runs
+ * Lua in fengari (Lua 5.3 in JS) against a Lua mirror of a JSON fixture, so
+ * bridge.js runs its real queries and writes unchanged. Only the parts of
+ * the Fusion API the bridge uses are implemented:
+ *   comp:GetToolList, FindTool, GetAttrs, GetPrefs, Lock/Unlock, StartUndo/EndUndo
+ *   tool:GetAttrs, GetInputList
+ *   input:GetAttrs, GetKeyFrames, GetConnectedOutput
+ *   BezierSpline:GetKeyFrames, SetKeyFrames; Paths with a Displacement spline
+ *
+ * Fixture (see fixtures/comp.json):
+ *   { name, frameRate, renderStart, renderEnd,
+ *     tools: [{ name, type, selected,
+ *       inputs: [{ id, name, dataType, path, keyframes: [{ frame, value, LH, RH, flags }] }] }] }
+ * Inputs without keyframes are not animated; `path: true` animates a Point
+ * input through a PolyPath whose displacement is the keyframed spline.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+const { JSON_PRELUDE, luaValue } = require('../main/lua');
+
+const FAKE_FUSION = String.raw`
+local function copy(v)
+  if type(v) ~= "table" then return v end
+  local c = {}
+  for k, x in pairs(v) do c[k] = copy(x) end
+  return c
+end
+
+local function output(tool)
+  return { GetTool = function() return tool end }
+end
+
+local function newSpline(name, keyframes)
+  local spline = { Name = name, keys = {} }
+  for _, k in ipairs(keyframes) do
+    spline.keys[k.frame] = { k.value, LH = copy(k.LH), RH = copy(k.RH), Flags = copy(k.flags) }
+  end
+  function spline:GetAttrs() return { TOOLS_Name = self.Name, TOOLS_RegID = "BezierSpline" } end
+  function spline:GetInputList() return {} end
+  function spline:GetKeyFrames() return copy(self.keys) end
+  function spline:SetKeyFrames(keys, replace)
+    if replace then self.keys = {} end
+    for frame, key in pairs(keys) do
+      self.keys[frame] = type(key) == "table" and copy(key) or { key }
+    end
+  end
+  return spline
+end
+
+local function newInput(toolName, def)
+  local inp = { ID = def.id, Name = def.name or def.id }
+  local spline, animator
+  if def.keyframes then
+    spline = newSpline(toolName .. def.id, def.keyframes)
+    animator = spline
+    if def.path then
+      local displacement = { ID = "Displacement", Name = "Displacement" }
+      function displacement:GetAttrs() return { INPS_ID = "Displacement", INPS_Name = "Displacement", INPS_DataType = "Number" } end
+      function displacement:GetConnectedOutput() return output(spline) end
+      animator = { Name = toolName .. def.id .. "Path" }
+      function animator:GetAttrs() return { TOOLS_Name = self.Name, TOOLS_RegID = "PolyPath" } end
+      function animator:GetInputList() return { displacement } end
+    end
+  end
+  inp.spline = spline
+
+  function inp:GetAttrs()
+    return { INPS_ID = def.id, INPS_Name = def.name or def.id, INPS_DataType = def.dataType or "Number" }
+  end
+  function inp:GetConnectedOutput() return animator and output(animator) or nil end
+  -- Fusion lists keyframe times, not values, for inputs
+  function inp:GetKeyFrames()
+    local frames = {}
+    if spline then
+      for frame in pairs(spline.keys) do table.insert(frames, frame) end
+      table.sort(frames)
+    end
+    return frames
+  end
+  return inp
+end
+
+local tools = {}
+for i, def in ipairs(__fixture.tools or {}) do
+  local tool = { Name = def.name, selected = def.selected == true, inputs = {} }
+  for _, idef in ipairs(def.inputs or {}) do
+    table.insert(tool.inputs, newInput(def.name, idef))
+  end
+  function tool:GetAttrs() return { TOOLS_Name = self.Name, TOOLS_RegID = def.type or "Tool" } end
+  function tool:GetInputList()
+    local list = {}
+    for n, inp in ipairs(self.inputs) do list[n] = inp end
+    return list
+  end
+  tools[i] = tool
+end
+
+comp = { undo = {}, locks = 0 }
+function comp:GetToolList(selectedOnly)
+  local list = {}
+  for _, tool in ipairs(tools) do
+    if not selectedOnly or tool.selected then table.insert(list, tool) end
+  end
+  return list
+end
+function comp:FindTool(name)
+  for _, tool in ipairs(tools) do
+    if tool.Name == name then return tool end
+  end
+  return nil
+end
+function comp:GetAttrs()
+  return {
+    COMPS_Name = __fixture.name or "Composition1",
+    COMPN_RenderStart = __fixture.renderStart or 0,
+    COMPN_RenderEnd = __fixture.renderEnd or 100,
+  }
+end
+function comp:GetPrefs(key)
+  if key == "Comp.FrameFormat.Rate" then return __fixture.frameRate or 24 end
+  return nil
+end
+function comp:Lock() self.locks = self.locks + 1 end
+function comp:Unlock() self.locks = self.locks - 1 end
+function comp:StartUndo(name) table.insert(self.undo, name) end
+function comp:EndUndo(keep) end
+composition = comp
+
+-- fengari has no io.open; results go through JS
+io.open = function(filepath, mode)
+  local chunks = {}
+  return {
+    write = function(self, ...) for _, s in ipairs({ ... }) do table.insert(chunks, tostring(s)) end end,
+    close = function(self) __writeFile(filepath, table.concat(chunks)) end,
+  }
+end
+
+-- Current state in fixture form, for inspection from JS
+function __dumpState()
+  local state = json.object({ tools = {}, undo = comp.undo })
+  for _, tool in ipairs(tools) do
+    local tdef = { name = tool.Name, type = tool:GetAttrs().TOOLS_RegID, selected = tool.selected, inputs = {} }
+    for _, inp in ipairs(tool.inputs) do
+      local attrs = inp:GetAttrs()
+      local idef = { id = attrs.INPS_ID, name = attrs.INPS_Name, dataType = attrs.INPS_DataType }
+      if inp.spline then
+        idef.keyframes = {}
+        local frames = {}
+        for frame in pairs(inp.spline.keys) do table.insert(frames, frame) end
+        table.sort(frames)
+        for _, frame in ipairs(frames) do
+          local key = inp.spline.keys[frame]
+          local flags = nil
+          if type(key.Flags) == "table" and next(key.Flags) ~= nil then flags = json.object(copy(key.Flags)) end
+          table.insert(idef.keyframes, { frame = frame, value = key[1], LH = key.LH, RH = key.RH, flags = flags })
+        end
+      end
+      table.insert(tdef.inputs, idef)
+    end
+    table.insert(state.tools, tdef)
+  end
+  return json.encode(state)
+end
+`;
+
+/**
+ * Run a chunk in a Lua state
+ * @returns {string|null} Error message, or null on success
+ */
+function runChunk(L, source, chunkName) {
+  const status = lauxlib.luaL_loadbuffer(L, to_luastring(source), null, to_luastring(`=${chunkName}`));
+  const error = status === 0 ? lua.lua_pcall(L, 0, 0, 0) : status;
+  if (error === 0) return null;
+  const message = to_jsstring(lua.lua_tostring(L, -1));
+  lua.lua_pop(L, 1);
+  return message;
+}
+
+/**
+ * Create a fake comp from a fixture
+ * @param {Object|string} fixture - Fixture object or path to a fixture JSON file
+ * @param {Object} [options]
+ * @param {number} [options.latency=0] - Delay before Execute runs, in ms,
+ *   to exercise the bridge's result polling
+ * @returns {{Execute: function(string): Promise<void>, getState: function(): Object}}
+ */
+function createFakeComp(fixture, { latency = 0 } = {}) {
+  const data = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+  lua.lua_pushjsfunction(L, state => {
+    const filepath = to_jsstring(lauxlib.luaL_checkstring(state, 1));
+    const content = lauxlib.luaL_checkstring(state, 2);
+    fs.writeFileSync(filepath, Buffer.from(content));
+    return 0;
+  });
+  lua.lua_setglobal(L, to_luastring('__writeFile'));
+
+  const setupError = runChunk(L, `${JSON_PRELUDE}\n__fixture = ${luaValue(data)}\n${FAKE_FUSION}`, 'fake-fusion');
+  if (setupError) throw new Error(`Fake comp setup failed: ${setupError}`);
+
+  const execute = code => {
+    const error = runChunk(L, String(code), 'Execute');
+    // Fusion logs script errors to its console and carries on
+    if (error) console.error('[FakeFusion]', error);
+  };
+
+  return {
+    Execute(code) {
+      if (!latency) {
+        execute(code);
+        return Promise.resolve();
+      }
+      return new Promise(resolve => setTimeout(() => {
+        execute(code);
+        resolve();
+      }, latency));
+    },
+
+    /**
+     * Current comp contents in fixture form, plus the undo names recorded
+     */
+    getState() {
+      lua.lua_getglobal(L, to_luastring('__dumpState'));
+      lua.lua_call(L, 0, 1);
+      const json = to_jsstring(lua.lua_tostring(L, -1));
+      lua.lua_pop(L, 1);
+      return JSON.parse(json);
+    },
+  };
+}
+
+module.exports = {
+  createFakeComp,
+};
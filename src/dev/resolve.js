@@ -0,0 +1,217 @@
+/**
+ * Fake Resolve - A Resolve object for offline UI work
+ *
+ * Implements the slice of the Resolve scripting API resolve.js walks to
+ * reach a Fusion comp, configured from a scenario file:
+ *   Resolve:        GetProjectManager, GetCurrentPage, OpenPage, GetProductName, GetVersionString
+ *   ProjectManager: GetCurrentProject, GetProjectListInCurrentFolder, LoadProject
+ *   Project:        GetName, GetCurrentTimeline, SetCurrentTimeline, GetTimelineCount, GetTimelineByIndex
+ *   Timeline:       GetName, GetStartFrame, GetEndFrame, GetCurrentTimecode, SetCurrentTimecode,
+ *                   GetTrackCount, GetItemListInTrack, GetCurrentVideoItem
+ *   TimelineItem:   GetName, GetStart, GetEnd, GetFusionCompCount, GetFusionCompNameList,
+ *                   GetFusionCompByName, LoadFusionCompByName
+ * Methods are async, like the WorkflowIntegration objects they stand in for.
+ *
+ * Scenario (see scenarios/default.json):
+ *   { page, currentProject,
+ *     projects: [{ name, currentTimeline,
+ *       timelines: [{ name, frameRate, start, end, playhead,
+ *         clips: [{ name, track, start, end, comps: [{ name, fixture }] }] }] }] }
+ * `fixture` is a comp fixture (see fusion.js) or a path to one, relative
+ * to the scenario file. A null currentProject or currentTimeline, a
+ * playhead over no clip, or a clip without comps reproduce the errors
+ * getCurrentComp reports. An optional `expect` names the error the
+ * scenario should produce; scripts/simulate.js checks it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a scenario file
+ * @param {string} scenarioPath
+ * @returns {Object} Scenario with comp fixture paths resolved to absolute paths
+ */
+function loadScenario(scenarioPath) {
+  const dir = path.dirname(path.resolve(scenarioPath));
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+  for (const project of scenario.projects || []) {
+    for (const timeline of project.timelines || []) {
+      for (const clip of timeline.clips || []) {
+        for (const comp of clip.comps || []) {
+          if (typeof comp.fixture === 'string') comp.fixture = path.resolve(dir, comp.fixture);
+        }
+      }
+    }
+  }
+  return scenario;
+}
+
+/**
+ * HH:MM:SS:FF for a frame number
+ */
+function toTimecode(frame, frameRate) {
+  const fps = Math.round(frameRate);
+  const pad = n => String(n).padStart(2, '0');
+  const seconds = Math.floor(frame / fps);
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60, frame % fps].map(pad).join(':');
+}
+
+/**
+ * Frame number for HH:MM:SS:FF
+ */
+function fromTimecode(timecode, frameRate) {
+  const parts = String(timecode).split(/[:;]/).map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isInteger(n))) return null;
+  const [h, m, s, f] = parts;
+  return ((h * 60 + m) * 60 + s) * Math.round(frameRate) + f;
+}
+
+/**
+ * Fake TimelineItem. Comps are created on first load and kept, so edits
+ * made through the bridge persist while the app runs.
+ */
+function createClip(data) {
+  const comps = data.comps || [];
+  const loaded = new Map();
+
+  const findComp = name => comps.find(c => c.name === name) || null;
+  const loadComp = name => {
+    const def = findComp(name);
+    if (!def) return null;
+    if (!loaded.has(name)) {
+      // Loaded on first use: fengari is only needed once a comp is opened
+      const { createFakeComp } = require('./fusion');
+      loaded.set(name, createFakeComp(def.fixture || { tools: [] }));
+    }
+    return loaded.get(name);
+  };
+
+  return {
+    async GetName() { return data.name; },
+    async GetStart() { return data.start; },
+    async GetEnd() { return data.end; },
+    async GetFusionCompCount() { return comps.length; },
+    async GetFusionCompNameList() { return comps.map(c => c.name); },
+    async GetFusionCompByName(name) { return loadComp(name); },
+    async LoadFusionCompByName(name) { return loadComp(name); },
+  };
+}
+
+/**
+ * Fake Timeline with a movable playhead
+ */
+function createTimeline(data) {
+  const frameRate = data.frameRate || 24;
+  const clips = (data.clips || []).map(clip => ({ data: clip, item: createClip(clip) }));
+  let playhead = data.playhead !== undefined ? data.playhead : data.start || 0;
+
+  const track = clip => clip.data.track || 1;
+  const trackCount = clips.reduce((max, clip) => Math.max(max, track(clip)), 0);
+
+  return {
+    async GetName() { return data.name; },
+    async GetStartFrame() { return data.start || 0; },
+    async GetEndFrame() { return data.end !== undefined ? data.end : 0; },
+    async GetCurrentTimecode() { return toTimecode(playhead, frameRate); },
+    async SetCurrentTimecode(timecode) {
+      const frame = fromTimecode(timecode, frameRate);
+      if (frame === null) return false;
+      playhead = frame;
+      return true;
+    },
+    async GetTrackCount(type) { return type === 'video' ? trackCount : 0; },
+    async GetItemListInTrack(type, index) {
+      if (type !== 'video') return [];
+      return clips.filter(clip => track(clip) === index).map(clip => clip.item);
+    },
+    // Topmost clip under the playhead, like Resolve
+    async GetCurrentVideoItem() {
+      const under = clips
+        .filter(clip => playhead >= clip.data.start && playhead < clip.data.end)
+        .sort((a, b) => track(b) - track(a));
+      return under.length ? under[0].item : null;
+    },
+  };
+}
+
+/**
+ * Fake Project. currentTimeline defaults to the first timeline; null means none open.
+ */
+function createProject(data) {
+  const timelines = (data.timelines || []).map(t => ({ name: t.name, timeline: createTimeline(t) }));
+  const byName = name => timelines.find(t => t.name === name) || null;
+  let current = data.currentTimeline === undefined && timelines.length
+    ? timelines[0]
+    : byName(data.currentTimeline);
+
+  return {
+    async GetName() { return data.name; },
+    async GetCurrentTimeline() { return current ? current.timeline : null; },
+    async SetCurrentTimeline(timeline) {
+      const found = timelines.find(t => t.timeline === timeline);
+      if (found) current = found;
+      return Boolean(found);
+    },
+    async GetTimelineCount() { return timelines.length; },
+    async GetTimelineByIndex(index) {
+      const entry = timelines[index - 1];
+      return entry ? entry.timeline : null;
+    },
+  };
+}
+
+/**
+ * Create a fake Resolve object
+ * @param {Object} scenario - From loadScenario
+ * @returns {Object}
+ */
+function createFakeResolve(scenario) {
+  const projects = (scenario.projects || []).map(p => ({ name: p.name, project: createProject(p) }));
+  let current = projects.find(p => p.name === scenario.currentProject) || null;
+  let page = scenario.page || 'fusion';
+
+  const projectManager = {
+    async GetCurrentProject() { return current ? current.project : null; },
+    async GetProjectListInCurrentFolder() { return projects.map(p => p.name); },
+    async LoadProject(name) {
+      const found = projects.find(p => p.name === name);
+      if (found) current = found;
+      return found ? found.project : null;
+    },
+  };
+
+  return {
+    async GetProjectManager() { return projectManager; },
+    async GetCurrentPage() { return page; },
+    async OpenPage(name) {
+      page = name;
+      return true;
+    },
+    async GetProductName() { return 'DaVinci Resolve Studio (fake)'; },
+    async GetVersionString() { return scenario.version || '18.6.0'; },
+  };
+}
+
+/**
+ * resolve.js backend serving a fake Resolve from a scenario file.
+ * The scenario is re-read each time the backend loads.
+ * @param {string} scenarioPath
+ * @returns {{name: string, load: function(): Promise<Object>}}
+ */
+function createFakeBackend(scenarioPath) {
+  return {
+    name: `Fake Resolve (${path.basename(scenarioPath)})`,
+    async load() {
+      return createFakeResolve(loadScenario(scenarioPath));
+    },
+  };
+}
+
+module.exports = {
+  loadScenario,
+  createFakeResolve,
+  createFakeBackend,
+};
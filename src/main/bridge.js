@@ -12,17 +12,58 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { requireShared } = require('./paths');
+const { JSON_PRELUDE, lua, raw } = require('./lua');
+const { checkSchema } = require('./schema');
+const { PRIORITY, createQueue } = require('./queue');
 
-// Lock to prevent concurrent Lua operations
-let bridgeLock = false;
-const LOCK_TIMEOUT = 5000;
-const RESULT_WAIT_MS = 150;
+const { easingToNodes } = requireShared('expand');
+const { fromFusionFormat } = requireShared('keyframes');
+
+// Per-call deadline for Fusion to write its result
+const RESULT_TIMEOUT_MS = 5000;
+
+// Result polling backs off from POLL_MIN_MS to POLL_MAX_MS; fs.watch
+// usually fires first, polling covers platforms where it doesn't
+const POLL_MIN_MS = 5;
+const POLL_MAX_MS = 100;
+
+// A result that lands after its deadline is deleted this much later
+const LATE_CLEANUP_MS = 30000;
+
+// Chunk name our code is compiled under; Lua errors read "bridge:<line>: ..."
+const CHUNK_NAME = 'bridge';
 
 /**
- * Sleep helper
+ * Error codes on { error, code } bridge results. Errors Fusion reports
+ * itself ("Tool not found") carry no code.
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const BRIDGE_ERRORS = {
+  TIMEOUT: 'timeout', // No result before the deadline
+  LUA: 'lua',         // The Lua code raised an error
+  EMPTY: 'empty',     // The Lua code returned nothing
+  INVALID: 'invalid', // The result wasn't the expected JSON shape
+  CANCELED: 'canceled', // A newer read replaced this one before it ran
+  HOST: 'host',       // Failed on our side: no comp, temp file errors
+};
+
+// Every Fusion call goes through this queue, one at a time
+const queue = createQueue({
+  canceledResult: () => ({ error: 'Superseded by a newer request', code: BRIDGE_ERRORS.CANCELED }),
+});
+
+const compIds = new WeakMap();
+let nextCompId = 1;
+
+/**
+ * Queue identity of a comp. Keys and supersede groups include it, so a
+ * read on one comp never stands in for or cancels a read on another.
+ */
+function compId(comp) {
+  // Not a comp at all; runLua reports it
+  if (comp === null || typeof comp !== 'object') return 0;
+  if (!compIds.has(comp)) compIds.set(comp, nextCompId++);
+  return compIds.get(comp);
 }
 
 /**
@@ -39,211 +80,664 @@ function cleanup(filepath) {
 }
 
 /**
- * Execute Lua code in Fusion and return the result
- * @param {Object} comp - Fusion composition object
- * @param {string} luaCode - Lua code to execute (should return a string)
- * @returns {Promise<string|null>} - Result string or null on failure
- */
-async function executeLua(comp, luaCode) {
-  // Acquire lock with timeout
-  const startWait = Date.now();
-  while (bridgeLock) {
-    if (Date.now() - startWait > LOCK_TIMEOUT) {
-      console.error('[Bridge] Lock timeout');
-      return null;
+ * Wait until a file exists, watching its directory and polling with backoff
+ * @param {string} filepath
+ * @param {number} deadline - Date.now() timestamp
+ * @returns {Promise<boolean>} false if the deadline passed first
+ */
+function waitForFile(filepath, deadline) {
+  return new Promise(resolve => {
+    const name = path.basename(filepath);
+    let watcher = null;
+    let timer = null;
+    let interval = POLL_MIN_MS;
+    let done = false;
+
+    const finish = found => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (watcher) watcher.close();
+      resolve(found);
+    };
+
+    const poll = () => {
+      if (fs.existsSync(filepath)) return finish(true);
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return finish(false);
+      timer = setTimeout(poll, Math.min(interval, remaining));
+      interval = Math.min(interval * 2, POLL_MAX_MS);
+    };
+
+    try {
+      watcher = fs.watch(path.dirname(filepath), (event, filename) => {
+        if (filename === name && fs.existsSync(filepath)) finish(true);
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watcher = null;
+      });
+    } catch (e) {
+      // Polling alone still gets there
+      watcher = null;
     }
-    await sleep(50);
+    poll();
+  });
+}
+
+/**
+ * Execute Lua code in Fusion and return the result.
+ * The code runs after JSON_PRELUDE, so it can use json.encode; tables and
+ * other non-string results are encoded automatically. Calls are queued
+ * (see queue.js): identical pending reads share one execution, and the
+ * timeout starts when the call runs, not when it's queued.
+ * @param {Object} comp - Fusion composition object
+ * @param {string|Object} luaCode - Lua code to execute, plain or built with the lua tag
+ * @param {Object} [options]
+ * @param {number} [options.timeout=RESULT_TIMEOUT_MS] - Deadline for the result, in ms
+ * @param {boolean} [options.write=false] - Changes the comp; never dropped or merged
+ * @param {number} [options.priority] - PRIORITY value
+ * @param {string} [options.supersede] - Cancel older pending reads in this group
+ * @returns {Promise<{result: string}|{error: string, code: string, hint?: string, luaError?: Object}>}
+ *   code is one of BRIDGE_ERRORS; Lua errors add a hint and luaError (see luaFailure)
+ */
+function executeLua(comp, luaCode, { timeout = RESULT_TIMEOUT_MS, write = false, priority, supersede } = {}) {
+  const source = String(luaCode);
+  const id = compId(comp);
+  return queue.push(() => runLua(comp, source, timeout), {
+    write,
+    priority,
+    supersede: supersede === undefined ? undefined : `${id}:${supersede}`,
+    key: `${id}:${timeout}:${source}`,
+  });
+}
+
+/**
+ * Bridge result for an error raised by our Lua code. Fusion reports lines
+ * as "bridge:12:", counted in the code we sent, so the failing line can be
+ * quoted back.
+ * @param {{message: string, traceback?: string}|string} error - From the xpcall handler
+ * @param {string} source - The code that ran
+ * @returns {{error: string, code: string, hint: string|null,
+ *   luaError: {message: string, line: number|null, snippet: string|null, traceback: string|null}}}
+ */
+function luaFailure(error, source) {
+  const details = typeof error === 'object' ? error : { message: error };
+  const message = String(details.message || 'Unknown error');
+  let traceback = details.traceback ? String(details.traceback).trim() : null;
+  if (traceback) {
+    // Frames after our chunk's last one belong to the wrapper
+    const frames = traceback.split('\n');
+    const last = frames.findLastIndex(frame => frame.includes(`${CHUNK_NAME}:`));
+    if (last >= 0) traceback = frames.slice(0, last + 1).join('\n');
   }
-  bridgeLock = true;
 
+  const location = new RegExp(`${CHUNK_NAME}:(\\d+):`);
+  const match = message.match(location) || (traceback && traceback.match(location));
+  const line = match ? Number(match[1]) : null;
+  const snippet = (line && (source.split('\n')[line - 1] || '').trim()) || null;
+
+  const where = line && (snippet ? `Line ${line}: ${snippet}` : `Line ${line}`);
+  const hint = [where, traceback].filter(Boolean).join('\n') || null;
+
+  return {
+    error: `Lua error: ${message.replace(new RegExp(`^${CHUNK_NAME}:\\d+:\\s*`), '')}`,
+    code: BRIDGE_ERRORS.LUA,
+    hint,
+    luaError: { message, line, snippet, traceback },
+  };
+}
+
+/**
+ * Run one wrapped Lua script. Fusion writes the result to a temp file and
+ * renames it into place, so the file appearing means the result is complete.
+ */
+async function runLua(comp, luaCode, timeout) {
   // Unique temp file for this operation
   const id = crypto.randomBytes(8).toString('hex');
   const resultFile = path.join(os.tmpdir(), `resolve_easing_${id}.json`);
+  const partialFile = `${resultFile}.partial`;
+  let timedOut = false;
+
+  if (!comp || typeof comp.Execute !== 'function') {
+    return { error: 'No Fusion comp to run the script in', code: BRIDGE_ERRORS.HOST };
+  }
 
   try {
-    // Wrap Lua code to write result to file
-    const wrappedLua = `
-      local __result = (function()
-        ${luaCode}
-      end)()
-      local __f = io.open("${resultFile.replace(/\\/g, '/')}", "w")
+    // Compile the code as its own chunk so error lines match its source,
+    // run it under xpcall, and write { result } or { error } to file
+    const wrappedLua = lua`
+      ${raw(JSON_PRELUDE)}
+      local __source = ${`local json = ...; ${luaCode}`}
+      local __chunk, __syntaxError
+      if setfenv then
+        __chunk, __syntaxError = loadstring(__source, ${`=${CHUNK_NAME}`})
+        if __chunk then setfenv(__chunk, getfenv(1)) end
+      else
+        __chunk, __syntaxError = load(__source, ${`=${CHUNK_NAME}`}, "t", _ENV)
+      end
+      local __envelope = json.object()
+      if not __chunk then
+        __envelope.error = { message = tostring(__syntaxError) }
+      else
+        local ok, result = xpcall(function()
+          local value = __chunk(json)
+          if value ~= nil and type(value) ~= "string" then value = json.encode(value) end
+          return value
+        end, function(err)
+          local traceback = debug and debug.traceback and debug.traceback("", 2) or nil
+          return { message = tostring(err), traceback = traceback }
+        end)
+        if ok then __envelope.result = result else __envelope.error = result end
+      end
+      local __f = io.open(${partialFile.replace(/\\/g, '/')}, "w")
       if __f then
-        __f:write(__result or "")
+        __f:write(json.encode(__envelope))
         __f:close()
+        os.rename(${partialFile.replace(/\\/g, '/')}, ${resultFile.replace(/\\/g, '/')})
       end
     `;
 
+    const deadline = Date.now() + timeout;
+
     // Execute (throws but code still runs)
     try {
-      await comp.Execute(wrappedLua);
+      await comp.Execute(String(wrappedLua));
     } catch (e) {
       // Expected - Execute throws but Lua still executes
     }
 
-    // Wait for file to be written
-    await sleep(RESULT_WAIT_MS);
-
-    // Read result
-    if (fs.existsSync(resultFile)) {
-      const content = fs.readFileSync(resultFile, 'utf8');
-      cleanup(resultFile);
-      return content;
+    if (!(await waitForFile(resultFile, deadline))) {
+      timedOut = true;
+      return { error: `Fusion did not respond within ${timeout}ms`, code: BRIDGE_ERRORS.TIMEOUT };
     }
 
-    return null;
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+    } catch (e) {
+      return { error: 'Invalid result from Fusion', code: BRIDGE_ERRORS.INVALID };
+    }
+    if (envelope.error) return luaFailure(envelope.error, luaCode);
+    if (typeof envelope.result !== 'string' || envelope.result === '') {
+      return { error: 'No result from Fusion', code: BRIDGE_ERRORS.EMPTY };
+    }
+    return { result: envelope.result };
   } catch (e) {
     console.error('[Bridge] Error:', e.message);
-    return null;
+    return { error: e.message, code: BRIDGE_ERRORS.HOST };
   } finally {
-    bridgeLock = false;
     cleanup(resultFile);
+    if (timedOut) {
+      // Fusion may still finish; don't leave its files behind
+      setTimeout(() => {
+        cleanup(resultFile);
+        cleanup(partialFile);
+      }, LATE_CLEANUP_MS).unref();
+    }
   }
 }
 
+/**
+ * Run a query that returns a Lua table, decode it and check its shape.
+ * A table with an `error` field is passed through as { error }.
+ * @param {Object} comp - Fusion composition object
+ * @param {Object} code - Lua built with the lua tag
+ * @param {string|Array|Object} schema - See schema.checkSchema
+ * @param {Object} [options] - executeLua options
+ * @returns {Promise<*|{error: string, code?: string}>} Bridge failures carry a
+ *   BRIDGE_ERRORS code; errors reported by the query itself don't
+ */
+async function queryLua(comp, code, schema, options) {
+  const response = await executeLua(comp, code, options);
+  if (response.error) return response;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(response.result);
+  } catch (e) {
+    return { error: 'Invalid result from Fusion', code: BRIDGE_ERRORS.INVALID };
+  }
+  if (parsed && typeof parsed.error === 'string') return { error: parsed.error };
+
+  const problem = checkSchema(parsed, schema);
+  if (problem) return { error: `Unexpected result from Fusion: ${problem}`, code: BRIDGE_ERRORS.INVALID };
+  return parsed;
+}
+
+const TOOL_SCHEMA = [{ name: 'string', type: 'string' }];
+const INPUT_SCHEMA = [{ id: 'string', name: 'string', 'dataType?': 'string' }];
+const KEYFRAME_SCHEMA = [{
+  frame: 'number',
+  value: 'number',
+  'LH?': ['number'],
+  'RH?': ['number'],
+  'flags?': 'object',
+}];
+
+/**
+ * Lua snippet: `toolInfo(tool)` -> { name, type }
+ */
+const TOOL_INFO_LUA = lua`
+  local function toolInfo(tool)
+    local attrs = tool:GetAttrs()
+    return { name = tool.Name or attrs.TOOLS_Name, type = attrs.TOOLS_RegID or "" }
+  end
+`;
+
+/**
+ * Lua snippet: `inputInfo(inp)` -> { id, name, dataType }
+ */
+const INPUT_INFO_LUA = lua`
+  local function inputInfo(inp)
+    local attrs = inp:GetAttrs()
+    local id = attrs.INPS_ID or inp.ID or inp.Name or ""
+    return { id = id, name = attrs.INPS_Name or inp.Name or id, dataType = attrs.INPS_DataType }
+  end
+`;
+
 /**
  * Get all tools in the composition
+ * @returns {Promise<Array<{name: string, type: string}>|{error: string, code?: string}>}
+ *   type is the RegID, e.g. 'Transform'
  */
 async function getAllTools(comp) {
-  const lua = `
-    local tools = comp:GetToolList(false)
-    local names = {}
-    for i, tool in ipairs(tools) do
-      table.insert(names, tool.Name)
+  const code = lua`
+    ${TOOL_INFO_LUA}
+    local tools = {}
+    for _, tool in ipairs(comp:GetToolList(false)) do
+      table.insert(tools, toolInfo(tool))
     end
-    return table.concat(names, ",")
+    return tools
   `;
-  const result = await executeLua(comp, lua);
-  return result ? result.split(',').filter(Boolean) : [];
+  return queryLua(comp, code, TOOL_SCHEMA);
 }
 
 /**
  * Get selected tools in Fusion
+ * @returns {Promise<Array<{name: string, type: string}>|{error: string, code?: string}>}
  */
 async function getSelectedTools(comp) {
-  const lua = `
-    local tools = comp:GetToolList(true)
-    local names = {}
-    for i, tool in ipairs(tools) do
-      table.insert(names, tool.Name)
+  const code = lua`
+    ${TOOL_INFO_LUA}
+    local tools = {}
+    for _, tool in ipairs(comp:GetToolList(true)) do
+      table.insert(tools, toolInfo(tool))
     end
-    return table.concat(names, ",")
+    return tools
   `;
-  const result = await executeLua(comp, lua);
-  return result ? result.split(',').filter(Boolean) : [];
+  return queryLua(comp, code, TOOL_SCHEMA);
 }
 
 /**
  * Get animated inputs for a tool
+ * @returns {Promise<Array<{id: string, name: string, dataType?: string, keyframeCount: number}>
+ *   |{error: string, code?: string}>} id is the INPS_ID the other calls take; name is the display name
  */
 async function getAnimatedInputs(comp, toolName) {
-  const lua = `
-    local tool = comp:FindTool("${toolName}")
-    if not tool then return "" end
+  const code = lua`
+    ${INPUT_INFO_LUA}
+    local tool = comp:FindTool(${toolName})
+    if not tool then return { error = "Tool not found" } end
     local inputs = {}
-    local inputList = tool:GetInputList()
-    for _, inp in pairs(inputList) do
+    for _, inp in pairs(tool:GetInputList()) do
       local kf = inp:GetKeyFrames()
-      if kf and type(kf) == "table" then
+      if type(kf) == "table" then
         local count = 0
         for _ in pairs(kf) do count = count + 1 end
         if count > 0 then
-          -- Get the input's ID/Name
-          local inputName = inp:GetAttrs().INPS_ID or inp.Name or "Unknown"
-          table.insert(inputs, inputName)
+          local info = inputInfo(inp)
+          info.keyframeCount = count
+          table.insert(inputs, info)
         end
       end
     end
-    return table.concat(inputs, ",")
+    return inputs
   `;
-  const result = await executeLua(comp, lua);
-  return result ? result.split(',').filter(Boolean) : [];
+  const schema = [{ ...INPUT_SCHEMA[0], keyframeCount: 'number' }];
+  return queryLua(comp, code, schema, { supersede: 'animated-inputs' });
 }
 
 /**
  * Get all inputs for a tool (animated or not)
+ * @returns {Promise<Array<{id: string, name: string, dataType?: string, animated: boolean}>
+ *   |{error: string, code?: string}>}
  */
 async function getAllInputs(comp, toolName) {
-  const lua = `
-    local tool = comp:FindTool("${toolName}")
-    if not tool then return "" end
+  const code = lua`
+    ${INPUT_INFO_LUA}
+    local tool = comp:FindTool(${toolName})
+    if not tool then return { error = "Tool not found" } end
     local inputs = {}
-    for name, inp in pairs(tool:GetInputList()) do
+    for _, inp in pairs(tool:GetInputList()) do
+      local info = inputInfo(inp)
       -- Skip internal inputs
-      if not name:match("^__") then
-        table.insert(inputs, name)
+      if not info.id:match("^__") then
+        info.animated = inp:GetConnectedOutput() ~= nil
+        table.insert(inputs, info)
       end
     end
-    return table.concat(inputs, ",")
+    return inputs
   `;
-  const result = await executeLua(comp, lua);
-  return result ? result.split(',').filter(Boolean) : [];
+  const schema = [{ ...INPUT_SCHEMA[0], animated: 'boolean' }];
+  return queryLua(comp, code, schema, { supersede: 'all-inputs' });
 }
 
 /**
- * Get keyframes for a specific input
- * Returns array of { frame, value }
+ * Get keyframes for a specific input, read from its BezierSpline so
+ * handles (relative LH/RH offsets) and flags come along.
+ * Point inputs report their path displacement (0-1), which is what the
+ * handles describe.
+ * @returns {Promise<import('../shared/keyframes').Keyframe[]|{error: string, code: string}>}
+ *   Sorted by frame; [] if not animated, { error } if the bridge failed
  */
 async function getKeyframes(comp, toolName, inputName) {
-  const lua = `
-    local tool = comp:FindTool("${toolName}")
-    if not tool then return "[]" end
+  const code = lua`
+    ${findSplineLua(toolName, inputName)}
+    ${READ_KEYS_LUA}
+    return readKeys(spline)
+  `;
+  const result = await queryLua(comp, code, KEYFRAME_SCHEMA, { supersede: 'keyframes' });
+  if (result.code) return result;
+  // Missing tools, inputs and splines mean "not animated"
+  return Array.isArray(result) ? fromFusionFormat(result) : [];
+}
+
+/**
+ * Get the comp's frame rate and render range
+ * @returns {Promise<{frameRate: number, start: number, end: number}|{error: string}>}
+ */
+async function getCompTiming(comp) {
+  const code = lua`
+    local attrs = comp:GetAttrs()
+    return {
+      frameRate = comp:GetPrefs("Comp.FrameFormat.Rate") or 24,
+      start = attrs.COMPN_RenderStart or 0,
+      ["end"] = attrs.COMPN_RenderEnd or 0,
+    }
+  `;
+  return queryLua(comp, code, { frameRate: 'number', start: 'number', end: 'number' });
+}
+
+/**
+ * Check if an input has keyframes
+ * @returns {Promise<boolean|{error: string, code: string}>} false for missing tools and inputs
+ */
+async function hasKeyframes(comp, toolName, inputName) {
+  const code = lua`
+    ${findInputLua(toolName, inputName)}
+    local kf = inp:GetKeyFrames()
+    return type(kf) == "table" and next(kf) ~= nil
+  `;
+  const result = await queryLua(comp, code, 'boolean');
+  if (result && result.code) return result;
+  return result === true;
+}
+
+/**
+ * Lua snippet that finds a tool's input by ID (INPS_ID).
+ * Defines locals `tool` and `inp` or returns { error } from the enclosing function.
+ */
+function findInputLua(toolName, inputName) {
+  return lua`
+    local tool = comp:FindTool(${toolName})
+    if not tool then return { error = "Tool not found" } end
     local inp = nil
     for _, i in pairs(tool:GetInputList()) do
       local id = i:GetAttrs().INPS_ID or i.Name or ""
-      if id == "${inputName}" then inp = i break end
+      if id == ${inputName} then inp = i break end
     end
-    if not inp then return "[]" end
-    local kf = inp:GetKeyFrames()
-    if not kf or type(kf) ~= "table" then return "[]" end
+    if not inp then return { error = "Input not found" } end
+  `;
+}
+
+/**
+ * Lua snippet: `findSpline(inp)` -> the BezierSpline animating an input,
+ * or nil and a message. Point inputs (e.g. Center) are animated by a Path
+ * whose displacement is the BezierSpline we want.
+ */
+const FIND_SPLINE_LUA = lua`
+  local function findSpline(inp)
+    local out = inp:GetConnectedOutput()
+    if not out then return nil, "Input not animated" end
+    local spline = out:GetTool()
+    if not spline then return nil, "No spline found" end
+    local regId = spline:GetAttrs().TOOLS_RegID or ""
+    if regId == "PolyPath" or regId == "BezierPath" then
+      for _, pinp in pairs(spline:GetInputList()) do
+        local pout = pinp:GetConnectedOutput()
+        local ptool = pout and pout:GetTool()
+        if ptool and ptool:GetAttrs().TOOLS_RegID == "BezierSpline" then
+          return ptool
+        end
+      end
+      return nil, "Path has no BezierSpline modifier"
+    end
+    return spline
+  end
+`;
+
+/**
+ * Lua snippet: `readKeys(spline)` -> { { frame, value, LH?, RH?, flags? } }
+ * Only flags that are set are included.
+ */
+const READ_KEYS_LUA = lua`
+  local function readKeys(spline)
+    local kf = spline:GetKeyFrames()
     local result = {}
-    for _, frame in pairs(kf) do
-      local val = inp[frame]
-      -- Handle different value types
-      local valStr
-      if type(val) == "number" then
-        valStr = string.format("%.6f", val)
-      elseif type(val) == "table" then
-        valStr = string.format("%.6f", val[1] or 0)
-      else
-        valStr = tostring(val or 0)
+    if type(kf) ~= "table" then return result end
+    for frame, key in pairs(kf) do
+      if type(key) ~= "table" then key = { key } end
+      local entry = { frame = frame, value = tonumber(key[1]) or 0, LH = key.LH, RH = key.RH }
+      if type(key.Flags) == "table" then
+        local flags = json.object()
+        for name, on in pairs(key.Flags) do
+          if on then flags[name] = true end
+        end
+        if next(flags) ~= nil then entry.flags = flags end
       end
-      table.insert(result, string.format('{"frame":%d,"value":%s}', frame, valStr))
+      table.insert(result, entry)
     end
-    return "[" .. table.concat(result, ",") .. "]"
+    return result
+  end
+`;
+
+/**
+ * Lua snippet that finds the BezierSpline animating an input.
+ * Defines a local `spline` or returns { error } from the enclosing function.
+ */
+function findSplineLua(toolName, inputName) {
+  return lua`
+    ${findInputLua(toolName, inputName)}
+    ${FIND_SPLINE_LUA}
+    local spline, splineError = findSpline(inp)
+    if not spline then return { error = splineError } end
   `;
-  const result = await executeLua(comp, lua);
-  try {
-    return JSON.parse(result || '[]');
-  } catch (e) {
-    return [];
+}
+
+/**
+ * Read the whole comp in one execution: every tool, the selection, and
+ * each animated input with its keyframes and handles. Inputs whose
+ * animation isn't a BezierSpline (e.g. XY paths without displacement)
+ * are listed with no keyframes.
+ * @returns {Promise<{tools: Array<{name: string, type: string, selected: boolean,
+ *   inputs: Array<{id: string, name: string, dataType?: string, keyframeCount: number,
+ *   keyframes: import('../shared/keyframes').Keyframe[]}>}>, selected: string[]}|{error: string}>}
+ *   selected lists tool names in Fusion's selection order
+ */
+async function getSnapshot(comp) {
+  const code = lua`
+    ${TOOL_INFO_LUA}
+    ${INPUT_INFO_LUA}
+    ${FIND_SPLINE_LUA}
+    ${READ_KEYS_LUA}
+    local selected, isSelected = {}, {}
+    for _, tool in ipairs(comp:GetToolList(true)) do
+      table.insert(selected, tool.Name)
+      isSelected[tool.Name] = true
+    end
+    local tools = {}
+    for _, tool in ipairs(comp:GetToolList(false)) do
+      local info = toolInfo(tool)
+      info.selected = isSelected[info.name] == true
+      info.inputs = {}
+      for _, inp in pairs(tool:GetInputList()) do
+        local kf = inp:GetKeyFrames()
+        if type(kf) == "table" and next(kf) ~= nil then
+          local input = inputInfo(inp)
+          local count = 0
+          for _ in pairs(kf) do count = count + 1 end
+          input.keyframeCount = count
+          local spline = findSpline(inp)
+          input.keyframes = spline and readKeys(spline) or {}
+          table.insert(info.inputs, input)
+        end
+      end
+      table.insert(tools, info)
+    end
+    return { tools = tools, selected = selected }
+  `;
+  const result = await queryLua(comp, code, {
+    tools: [{
+      ...TOOL_SCHEMA[0],
+      selected: 'boolean',
+      inputs: [{ ...INPUT_SCHEMA[0], keyframeCount: 'number', keyframes: KEYFRAME_SCHEMA }],
+    }],
+    selected: ['string'],
+  }, { supersede: 'snapshot' });
+  if (result.error) return result;
+
+  for (const tool of result.tools) {
+    for (const input of tool.inputs) {
+      input.keyframes = fromFusionFormat(input.keyframes);
+    }
   }
+  return result;
 }
 
 /**
- * Check if an input has keyframes
+ * Apply easing to a keyframe pair.
+ * Sets the RH of the key at frame1 and the LH of the key at frame2. Curves
+ * that need more than one bezier (Elastic, Bounce) add intermediate keys,
+ * replacing any keys already between the pair. Extended springs add settle
+ * keys after frame2, stopping before the next existing key. Stepped easings
+ * (steps, hold) write StepIn and StepOut flags instead of handles. All
+ * other keys and handles are written back unchanged.
+ * @param {Object} comp - Fusion composition object
+ * @param {string} toolName - Tool name
+ * @param {string} inputName - Input ID (INPS_ID)
+ * @param {number} frame1 - First keyframe frame
+ * @param {number} frame2 - Second keyframe frame
+ * @param {string|Object|number[]} easing - Easing accepted by expand.easingToNodes
+ * @returns {Promise<{success: true, keyframeCount: number}|{error: string}>}
+ *   keyframeCount is the number of keys the easing wrote, frame1 and frame2 included
  */
-async function hasKeyframes(comp, toolName, inputName) {
-  const lua = `
-    local tool = comp:FindTool("${toolName}")
-    if not tool then return "false" end
-    local inp = nil
-    for name, i in pairs(tool:GetInputList()) do
-      if name == "${inputName}" then inp = i break end
+async function applyEasing(comp, toolName, inputName, frame1, frame2, easing) {
+  if (!Number.isFinite(frame1) || !Number.isFinite(frame2)) return { error: 'Frames must be numbers' };
+  if (!(frame1 < frame2)) return { error: 'frame1 must be less than frame2' };
+  let nodes;
+  try {
+    nodes = easingToNodes(easing);
+  } catch (e) {
+    // Invalid specs ({ steps: 0 }, a bad combinator, ...) throw
+    return { error: e.message };
+  }
+  if (!nodes) return { error: 'Unknown easing' };
+
+  const code = lua`
+    ${findSplineLua(toolName, inputName)}
+    local kf = spline:GetKeyFrames()
+    if not kf then return { error = "No keyframes" } end
+    local f1, f2 = ${frame1}, ${frame2}
+    local k1, k2 = kf[f1], kf[f2]
+    if k1 == nil or k2 == nil then return { error = "Keyframes not found" } end
+    if type(k1) ~= "table" then k1 = { k1 } end
+    if type(k2) ~= "table" then k2 = { k2 } end
+
+    -- Nodes are normalized; handles are relative offsets from their own key
+    local nodes = ${nodes}
+    local df = f2 - f1
+    local v1 = k1[1] or 0
+    local dv = (k2[1] or 0) - v1
+
+    -- The easing replaces the keys between the pair; settle keys past f2
+    -- stop before the next key so user keys are never removed
+    local nextFrame
+    for frame in pairs(kf) do
+      if frame > f1 and frame < f2 then
+        kf[frame] = nil
+      elseif frame > f2 and (nextFrame == nil or frame < nextFrame) then
+        nextFrame = frame
+      end
     end
-    if not inp then return "false" end
-    local kf = inp:GetKeyFrames()
-    return (kf and #kf > 0) and "true" or "false"
+
+    -- Only k1's StepOut and k2's StepIn belong to this pair
+    if k1.Flags then k1.Flags.StepOut = nil end
+    if k2.Flags then k2.Flags.StepIn = nil end
+    local k2RH = k2.RH
+
+    local written, lastKey = 0, nil
+    for _, n in ipairs(nodes) do
+      local frame = f1 + n.t * df
+      if nextFrame ~= nil and frame >= nextFrame then break end
+      local key
+      if n.t == 0 then
+        key = k1
+      elseif n.t == 1 then
+        key = k2
+      else
+        key = { v1 + n.value * dv }
+        kf[frame] = key
+      end
+      if n.LH then key.LH = { n.LH[1] * df, n.LH[2] * dv } end
+      if n.RH then key.RH = { n.RH[1] * df, n.RH[2] * dv } end
+      if n.flags then
+        key.Flags = key.Flags or {}
+        for name, on in pairs(n.flags) do key.Flags[name] = on end
+      end
+      written = written + 1
+      lastKey = key
+    end
+    -- Cut short: the last key's RH aimed at a settle key that wasn't written
+    if written < #nodes then
+      if lastKey == k2 then k2.RH = k2RH else lastKey.RH = nil end
+    end
+    kf[f1] = k1
+    kf[f2] = k2
+
+    -- Fusion workaround: with replace = true, one SetKeyFrames call doesn't
+    -- store LH/RH reliably; reading back right away shows other values. It
+    -- seems to rebuild the keyframe structure and reset handles while doing
+    -- so; a second call with the same table finds that structure in place
+    -- and keeps them. On its own each call is an undo entry, so Ctrl+Z would
+    -- stop at the intermediate state. StartUndo/EndUndo group both into one
+    -- "Apply Easing" entry.
+    comp:Lock()
+    comp:StartUndo("Apply Easing")
+    local ok, err = pcall(function()
+      spline:SetKeyFrames(kf, true)
+      spline:SetKeyFrames(kf, true)
+    end)
+    comp:EndUndo(true)
+    comp:Unlock()
+
+    if not ok then return { error = "SetKeyFrames failed" } end
+    return { success = true, keyframeCount = written }
   `;
-  const result = await executeLua(comp, lua);
-  return result === 'true';
+  return queryLua(comp, code, { success: 'boolean', keyframeCount: 'number' }, { write: true });
 }
 
 module.exports = {
+  BRIDGE_ERRORS,
+  PRIORITY,
   executeLua,
   getAllTools,
   getSelectedTools,
   getAnimatedInputs,
   getAllInputs,
   getKeyframes,
+  getCompTiming,
   hasKeyframes,
+  applyEasing,
+  getSnapshot,
 };
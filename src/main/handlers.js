@@ -0,0 +1,289 @@
+/**
+ * IPC Handlers - What each ipcMain channel does
+ *
+ * Kept apart from index.js so the handlers run without Electron:
+ * index.js registers them with ipcMain, scripts/simulate.js calls them
+ * directly against the fake Resolve. The Electron pieces they use are
+ * passed in. Handlers take the IPC arguments (no event) and resolve to
+ * the object the renderer receives.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const resolve = require('./resolve');
+const bridge = require('./bridge');
+const { requireShared } = require('./paths');
+
+const css = requireShared('css');
+const samples = requireShared('samples');
+const svg = requireShared('svg');
+const aftereffects = requireShared('aftereffects');
+const lottie = requireShared('lottie');
+const { normalizeSamples } = requireShared('easing');
+
+/**
+ * IPC result for a failed bridge call. Keeps the code (see
+ * bridge.BRIDGE_ERRORS) and, for Lua errors, the hint and luaError
+ * details the renderer shows in its error box.
+ */
+function bridgeError(result) {
+  return { error: result.error, code: result.code, hint: result.hint, luaError: result.luaError };
+}
+
+/**
+ * Create the IPC handlers
+ * @param {Object} electron
+ * @param {Object} electron.dialog - showOpenDialog, showSaveDialog
+ * @param {Object} electron.clipboard - readText
+ * @param {function(): Object|null} electron.getWindow - Parent window for dialogs
+ * @returns {Object<string, function(...*): Promise<Object>>} Handlers by channel
+ */
+function createHandlers({ dialog, clipboard, getWindow }) {
+  return {
+    /**
+     * Get composition info
+     */
+    async 'get-comp-info'() {
+      const result = await resolve.getCurrentComp();
+
+      if (result.error) {
+        return {
+          connected: false,
+          error: result.error,
+          hint: result.hint || null,
+        };
+      }
+
+      return {
+        connected: true,
+        name: result.name,
+        timeline: result.timeline,
+      };
+    },
+
+    /**
+     * Get all tools in comp
+     */
+    async 'get-all-tools'() {
+      const result = await resolve.getCurrentComp();
+      if (result.error) {
+        console.log('[get-all-tools] Error:', result.error);
+        return { error: result.error, tools: [] };
+      }
+
+      const tools = await bridge.getAllTools(result.comp);
+      if (tools.error) {
+        console.log('[get-all-tools] Bridge error:', tools.error);
+        return { ...bridgeError(tools), tools: [] };
+      }
+      console.log('[get-all-tools] Found tools:', tools);
+      return { tools };
+    },
+
+    /**
+     * Get selected tools
+     */
+    async 'get-selected-tools'() {
+      const result = await resolve.getCurrentComp();
+      if (result.error) {
+        console.log('[get-selected-tools] Error:', result.error);
+        return { error: result.error, tools: [] };
+      }
+
+      const tools = await bridge.getSelectedTools(result.comp);
+      if (tools.error) {
+        console.log('[get-selected-tools] Bridge error:', tools.error);
+        return { ...bridgeError(tools), tools: [] };
+      }
+      console.log('[get-selected-tools] Selected:', tools);
+      return { tools };
+    },
+
+    /**
+     * Get animated inputs for a tool
+     */
+    async 'get-animated-inputs'(toolName) {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error, inputs: [] };
+
+      const inputs = await bridge.getAnimatedInputs(result.comp, toolName);
+      if (inputs.error) return { ...bridgeError(inputs), inputs: [] };
+      return { inputs };
+    },
+
+    /**
+     * Get all inputs for a tool
+     */
+    async 'get-all-inputs'(toolName) {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error, inputs: [] };
+
+      const inputs = await bridge.getAllInputs(result.comp, toolName);
+      if (inputs.error) return { ...bridgeError(inputs), inputs: [] };
+      return { inputs };
+    },
+
+    /**
+     * Get the whole comp (tools, selection, animated inputs, keyframes) in one call
+     */
+    async 'get-snapshot'() {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error };
+
+      const snapshot = await bridge.getSnapshot(result.comp);
+      if (snapshot.error) return bridgeError(snapshot);
+      return { snapshot };
+    },
+
+    /**
+     * Get keyframes for an input
+     */
+    async 'get-keyframes'(toolName, inputName) {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error, keyframes: [] };
+
+      const keyframes = await bridge.getKeyframes(result.comp, toolName, inputName);
+      if (keyframes.error) return { ...bridgeError(keyframes), keyframes: [] };
+      return { keyframes };
+    },
+
+    /**
+     * Apply easing to a keyframe pair
+     */
+    async 'apply-easing'(toolName, inputName, frame1, frame2, easing) {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error };
+
+      return await bridge.applyEasing(result.comp, toolName, inputName, frame1, frame2, easing);
+    },
+
+    /**
+     * Parse a CSS easing function into an easing spec for apply-easing
+     */
+    async 'parse-css-easing'(text) {
+      try {
+        const easing = css.parseCssEasing(text);
+        return { easing, css: css.toCss(easing) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Serialize an easing as CSS, with linear() stops for non-bezier curves
+     */
+    async 'easing-to-css'(easing, options) {
+      try {
+        return { css: css.toCss(easing, options) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Parse typed-in (t, value) points into a sampled easing spec
+     */
+    async 'parse-easing-samples'(text, format, monotone = true) {
+      try {
+        const points = normalizeSamples(samples.parseSamples(text, format));
+        return { easing: { points, monotone } };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Import (t, value) points from a JSON or CSV file
+     */
+    async 'import-easing-samples'(monotone = true) {
+      const { canceled, filePaths } = await dialog.showOpenDialog(getWindow(), {
+        title: 'Import Easing Points',
+        filters: [{ name: 'Points', extensions: ['json', 'csv', 'txt'] }],
+        properties: ['openFile'],
+      });
+      if (canceled || filePaths.length === 0) return { canceled: true };
+
+      try {
+        const file = filePaths[0];
+        const format = path.extname(file).toLowerCase() === '.json' ? 'json' : undefined;
+        const points = normalizeSamples(samples.parseSamples(fs.readFileSync(file, 'utf8'), format));
+        return { easing: { points, monotone }, fileName: path.basename(file) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Convert SVG path data drawn in a vector tool into an easing spec
+     */
+    async 'parse-svg-easing'(d) {
+      try {
+        return { easing: svg.svgToEasing(d) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Parse After Effects "Keyframe Data" text, read from the clipboard
+     * when no text is given
+     */
+    async 'parse-ae-keyframes'(text) {
+      try {
+        return aftereffects.parseAeKeyframeData(text === undefined ? clipboard.readText() : text);
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Export an input's animation as Lottie JSON
+     */
+    async 'export-lottie'(toolName, inputName) {
+      const result = await resolve.getCurrentComp();
+      if (result.error) return { error: result.error };
+
+      const keyframes = await bridge.getKeyframes(result.comp, toolName, inputName);
+      if (keyframes.error) return bridgeError(keyframes);
+      if (keyframes.length === 0) return { error: 'No keyframes' };
+      const timing = await bridge.getCompTiming(result.comp);
+      if (timing.error) return bridgeError(timing);
+
+      const animation = lottie.toLottieAnimation({
+        keyframes,
+        frameRate: timing.frameRate,
+        inPoint: timing.start,
+        outPoint: timing.end,
+        name: `${toolName}.${inputName}`,
+      });
+
+      const { canceled, filePath } = await dialog.showSaveDialog(getWindow(), {
+        title: 'Export Lottie',
+        defaultPath: `${toolName}_${inputName}.json`,
+        filters: [{ name: 'Lottie JSON', extensions: ['json'] }],
+      });
+      if (canceled || !filePath) return { canceled: true };
+
+      try {
+        fs.writeFileSync(filePath, JSON.stringify(animation));
+        return { success: true, filePath };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+
+    /**
+     * Refresh connection
+     */
+    async refresh() {
+      return await resolve.initialize();
+    },
+  };
+}
+
+module.exports = {
+  bridgeError,
+  createHandlers,
+};
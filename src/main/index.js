@@ -7,13 +7,35 @@
 
 'use strict';
 
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, clipboard } = require('electron');
 const path = require('path');
 const resolve = require('./resolve');
-const bridge = require('./bridge');
+const { createHandlers } = require('./handlers');
 
 let mainWindow = null;
 
+/**
+ * Scenario file for the fake Resolve, from --scenario=<file> (or
+ * --scenario <file>) or the RESOLVE_EASING_SCENARIO environment variable
+ * @returns {string|null}
+ */
+function scenarioOption() {
+  const args = process.argv;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--scenario=')) return args[i].slice('--scenario='.length);
+    if (args[i] === '--scenario' && args[i + 1]) return args[i + 1];
+  }
+  return process.env.RESOLVE_EASING_SCENARIO || null;
+}
+
+// Offline development: serve a fake Resolve instead of WorkflowIntegration.node
+const scenario = scenarioOption();
+if (scenario) {
+  const { createFakeBackend } = require('../dev/resolve');
+  resolve.useBackend(createFakeBackend(path.resolve(scenario)));
+  console.log(`[Main] Using ${resolve.getBackendName()}`);
+}
+
 /**
  * Create the main window
  */
@@ -58,93 +80,8 @@ app.on('activate', () => {
 
 // ============ IPC Handlers ============
 
-/**
- * Get composition info
- */
-ipcMain.handle('get-comp-info', async () => {
-  const result = await resolve.getCurrentComp();
-  
-  if (result.error) {
-    return {
-      connected: false,
-      error: result.error,
-      hint: result.hint || null,
-    };
-  }
-
-  return {
-    connected: true,
-    name: result.name,
-    timeline: result.timeline,
-  };
-});
-
-/**
- * Get all tools in comp
- */
-ipcMain.handle('get-all-tools', async () => {
-  const result = await resolve.getCurrentComp();
-  if (result.error) {
-    console.log('[get-all-tools] Error:', result.error);
-    return { error: result.error, tools: [] };
-  }
-
-  const tools = await bridge.getAllTools(result.comp);
-  console.log('[get-all-tools] Found tools:', tools);
-  return { tools };
-});
-
-/**
- * Get selected tools
- */
-ipcMain.handle('get-selected-tools', async () => {
-  const result = await resolve.getCurrentComp();
-  if (result.error) {
-    console.log('[get-selected-tools] Error:', result.error);
-    return { error: result.error, tools: [] };
-  }
-
-  const tools = await bridge.getSelectedTools(result.comp);
-  console.log('[get-selected-tools] Selected:', tools);
-  return { tools };
-});
-
-/**
- * Get animated inputs for a tool
- */
-ipcMain.handle('get-animated-inputs', async (event, toolName) => {
-  const result = await resolve.getCurrentComp();
-  if (result.error) return { error: result.error, inputs: [] };
-
-  const inputs = await bridge.getAnimatedInputs(result.comp, toolName);
-  return { inputs };
-});
-
-/**
- * Get all inputs for a tool
- */
-ipcMain.handle('get-all-inputs', async (event, toolName) => {
-  const result = await resolve.getCurrentComp();
-  if (result.error) return { error: result.error, inputs: [] };
-
-  const inputs = await bridge.getAllInputs(result.comp, toolName);
-  return { inputs };
-});
-
-/**
- * Get keyframes for an input
- */
-ipcMain.handle('get-keyframes', async (event, toolName, inputName) => {
-  const result = await resolve.getCurrentComp();
-  if (result.error) return { error: result.error, keyframes: [] };
-
-  const keyframes = await bridge.getKeyframes(result.comp, toolName, inputName);
-  return { keyframes };
-});
-
-/**
- * Refresh connection
- */
-ipcMain.handle('refresh', async () => {
-  return await resolve.initialize();
-});
+// Handler bodies live in handlers.js so they also run without Electron
+const handlers = createHandlers({ dialog, clipboard, getWindow: () => mainWindow });
+for (const [channel, handler] of Object.entries(handlers)) {
+  ipcMain.handle(channel, (event, ...args) => handler(...args));
+}
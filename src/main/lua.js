@@ -0,0 +1,187 @@
+/**
+ * Lua Emitter - Build Lua source from JS values without string splicing
+ *
+ * Everything that crosses into Fusion goes through here: names from the
+ * comp (which may contain quotes, backslashes or newlines) and large
+ * keyframe tables alike. Use the `lua` template tag; interpolated values
+ * become Lua literals, and only code wrapped with raw() is spliced as-is.
+ *
+ *   lua`local tool = comp:FindTool(${toolName})`
+ *   -> local tool = comp:FindTool("Merge \"A\"")
+ */
+
+'use strict';
+
+const RAW = Symbol('lua.raw');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const RESERVED = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function',
+  'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then',
+  'true', 'until', 'while',
+]);
+
+// Escapes Lua understands; every other byte outside printable ASCII is \ddd
+const ESCAPES = { 0x5c: '\\\\', 0x22: '\\"', 0x0a: '\\n', 0x0d: '\\r', 0x09: '\\t' };
+
+/**
+ * Lua-side JSON encoder, prepended to every bridge script by executeLua.
+ * Sequences (keys 1..n) become arrays, including empty tables; other
+ * tables become objects, or wrap them with json.object() to force one.
+ * NaN, infinities and Fusion objects (userdata) encode as null.
+ */
+const JSON_PRELUDE = String.raw`
+local json = {}
+local __jsonObject = {}
+function json.object(t) return setmetatable(t or {}, __jsonObject) end
+local __jsonEscapes = { ['"'] = '\\"', ['\\'] = '\\\\', ['\n'] = '\\n', ['\r'] = '\\r', ['\t'] = '\\t' }
+local function __jsonString(s)
+  local escaped = s:gsub('[%c"\\]', function(c)
+    return __jsonEscapes[c] or string.format("\\u%04x", c:byte())
+  end)
+  return '"' .. escaped .. '"'
+end
+local function __jsonIsArray(t)
+  if getmetatable(t) == __jsonObject then return false end
+  local n = 0
+  for k in pairs(t) do
+    if type(k) ~= "number" or k < 1 or k % 1 ~= 0 then return false end
+    n = n + 1
+  end
+  for i = 1, n do
+    if t[i] == nil then return false end
+  end
+  return true
+end
+function json.encode(v, depth)
+  depth = depth or 0
+  if depth > 32 then error("json.encode: nested too deep") end
+  local kind = type(v)
+  if kind == "boolean" then return tostring(v) end
+  if kind == "number" then
+    if v ~= v or v == math.huge or v == -math.huge then return "null" end
+    if v % 1 == 0 and math.abs(v) < 2^53 then return string.format("%d", v) end
+    return string.format("%.17g", v)
+  end
+  if kind == "string" then return __jsonString(v) end
+  if kind ~= "table" then return "null" end
+  local parts = {}
+  if __jsonIsArray(v) then
+    for i = 1, #v do parts[i] = json.encode(v[i], depth + 1) end
+    return "[" .. table.concat(parts, ",") .. "]"
+  end
+  for k, item in pairs(v) do
+    table.insert(parts, __jsonString(tostring(k)) .. ":" .. json.encode(item, depth + 1))
+  end
+  return "{" .. table.concat(parts, ",") .. "}"
+end
+`;
+
+/**
+ * Mark Lua source to be spliced verbatim by the lua tag
+ * @param {string} source
+ */
+function raw(source) {
+  return Object.freeze({ [RAW]: String(source), toString() { return this[RAW]; } });
+}
+
+/**
+ * Is this source produced by raw() or the lua tag
+ */
+function isRaw(value) {
+  return Boolean(value && typeof value === 'object' && RAW in value);
+}
+
+/**
+ * Lua string literal. The result is pure ASCII: UTF-8 bytes and control
+ * characters are written as decimal escapes, so nothing can end the
+ * literal early.
+ */
+function luaString(value) {
+  let out = '"';
+  for (const byte of Buffer.from(String(value), 'utf8')) {
+    if (ESCAPES[byte]) out += ESCAPES[byte];
+    else if (byte < 0x20 || byte >= 0x7f) out += `\\${String(byte).padStart(3, '0')}`;
+    else out += String.fromCharCode(byte);
+  }
+  return `${out}"`;
+}
+
+/**
+ * Lua number literal. Uses the shortest form that round-trips, so
+ * handle values arrive in Fusion exactly as computed.
+ */
+function luaNumber(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Cannot write ${value} as a Lua number`);
+  }
+  return String(value);
+}
+
+/**
+ * Lua table key: bare identifiers where possible, [expr] otherwise
+ */
+function luaKey(key) {
+  if (typeof key === 'string' && IDENTIFIER.test(key) && !RESERVED.has(key)) return key;
+  return `[${luaValue(key)}]`;
+}
+
+/**
+ * Lua literal for a JS value.
+ *   null/undefined -> nil, booleans, finite numbers, strings,
+ *   arrays -> sequences { a, b } (1-based in Lua),
+ *   Maps -> tables keyed by the Map's own keys (numbers stay numbers),
+ *   plain objects -> { key = value } records
+ * @returns {string}
+ */
+function luaValue(value) {
+  if (value === null || value === undefined) return 'nil';
+  if (isRaw(value)) return value[RAW];
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return luaNumber(value);
+  if (typeof value === 'string') return luaString(value);
+  if (Array.isArray(value)) {
+    return `{ ${value.map(luaValue).join(', ')} }`;
+  }
+  if (value instanceof Map) {
+    return luaTable([...value.entries()]);
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return luaTable(Object.entries(value).filter(([, v]) => v !== undefined));
+  }
+  throw new Error(`Cannot write ${typeof value} as Lua`);
+}
+
+/**
+ * Lua table literal from [key, value] entries
+ * @param {Array<[string|number, *]>} entries
+ */
+function luaTable(entries) {
+  if (entries.length === 0) return '{}';
+  return `{ ${entries.map(([k, v]) => `${luaKey(k)} = ${luaValue(v)}`).join(', ')} }`;
+}
+
+/**
+ * Template tag for Lua source: interpolated values become literals
+ * (see luaValue), raw() and nested lua`` fragments are spliced as code.
+ * @returns {{toString(): string}} Raw Lua source
+ */
+function lua(strings, ...values) {
+  let source = strings[0];
+  values.forEach((value, i) => {
+    source += luaValue(value) + strings[i + 1];
+  });
+  return raw(source);
+}
+
+module.exports = {
+  JSON_PRELUDE,
+  lua,
+  raw,
+  isRaw,
+  luaString,
+  luaNumber,
+  luaValue,
+  luaTable,
+};
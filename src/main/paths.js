@@ -0,0 +1,27 @@
+/**
+ * Module Paths - Resolve shared modules in both layouts
+ *
+ * scripts/build.js flattens src/ into a single folder, so shared modules
+ * sit next to main.js once deployed but live in ../shared during development.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Require a module from src/shared (or the flat build folder)
+ * @param {string} name - Module name without extension, e.g. 'easing'
+ */
+function requireShared(name) {
+  const flat = path.join(__dirname, `${name}.js`);
+  if (fs.existsSync(flat)) {
+    return require(flat);
+  }
+  return require(path.join(__dirname, '..', 'shared', `${name}.js`));
+}
+
+module.exports = {
+  requireShared,
+};
@@ -9,6 +9,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   // Connection & Composition
   getCompInfo: () => ipcRenderer.invoke('get-comp-info'),
+  getSnapshot: () => ipcRenderer.invoke('get-snapshot'),
   
   // Tools
   getAllTools: () => ipcRenderer.invoke('get-all-tools'),
@@ -20,6 +21,18 @@ contextBridge.exposeInMainWorld('api', {
   
   // Keyframes
   getKeyframes: (toolName, inputName) => ipcRenderer.invoke('get-keyframes', toolName, inputName),
+  applyEasing: (toolName, inputName, frame1, frame2, easing) =>
+    ipcRenderer.invoke('apply-easing', toolName, inputName, frame1, frame2, easing),
+
+  // Easing
+  parseCssEasing: (text) => ipcRenderer.invoke('parse-css-easing', text),
+  easingToCss: (easing, options) => ipcRenderer.invoke('easing-to-css', easing, options),
+  parseEasingSamples: (text, format, monotone) =>
+    ipcRenderer.invoke('parse-easing-samples', text, format, monotone),
+  importEasingSamples: (monotone) => ipcRenderer.invoke('import-easing-samples', monotone),
+  parseSvgEasing: (d) => ipcRenderer.invoke('parse-svg-easing', d),
+  parseAeKeyframes: (text) => ipcRenderer.invoke('parse-ae-keyframes', text),
+  exportLottie: (toolName, inputName) => ipcRenderer.invoke('export-lottie', toolName, inputName),
   
   // Utility
   refresh: () => ipcRenderer.invoke('refresh'),
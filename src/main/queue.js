@@ -0,0 +1,107 @@
+/**
+ * Request Queue - Run bridge calls one at a time, most urgent first
+ *
+ * Fusion executes one script at a time, so bridge calls wait here instead
+ * of polling a lock:
+ *   - Lower priority numbers run first; equal priorities run in FIFO order
+ *   - Pending reads with the same key share one execution
+ *   - A read in a supersede group cancels older pending reads in that group
+ *     (e.g. keyframe reads while the user clicks through tools)
+ *   - Writes are never coalesced or cancelled
+ * A job that has started always runs to completion.
+ */
+
+'use strict';
+
+const PRIORITY = {
+  WRITE: 0,       // Changes the user asked for (apply easing)
+  INTERACTIVE: 1, // Reads the UI is waiting on
+};
+
+/**
+ * Create a request queue
+ * @param {Object} [options]
+ * @param {function(Object): *} [options.canceledResult] - Value a cancelled
+ *   caller receives, given the job's options
+ * @returns {{push: function, size: function(): number}}
+ */
+function createQueue({ canceledResult = () => null } = {}) {
+  const pending = [];
+  let active = null;
+  let seq = 0;
+
+  function next() {
+    if (active || pending.length === 0) return;
+
+    let best = 0;
+    for (let i = 1; i < pending.length; i++) {
+      const job = pending[i];
+      const current = pending[best];
+      if (job.priority < current.priority || (job.priority === current.priority && job.seq < current.seq)) {
+        best = i;
+      }
+    }
+    active = pending.splice(best, 1)[0];
+
+    Promise.resolve()
+      .then(active.task)
+      .then(active.resolve, active.reject)
+      .then(() => {
+        active = null;
+        next();
+      });
+  }
+
+  /**
+   * Queue a task
+   * @param {function(): Promise<*>} task
+   * @param {Object} [options]
+   * @param {boolean} [options.write=false] - Never coalesced or cancelled
+   * @param {number} [options.priority] - PRIORITY value; WRITE for writes,
+   *   INTERACTIVE otherwise
+   * @param {string} [options.key] - Pending reads with equal keys share a result
+   * @param {string} [options.supersede] - Group whose older pending reads this cancels
+   * @returns {Promise<*>} The task's result, or canceledResult if superseded
+   */
+  function push(task, { write = false, priority, key, supersede } = {}) {
+    if (priority === undefined) priority = write ? PRIORITY.WRITE : PRIORITY.INTERACTIVE;
+
+    if (!write && key !== undefined) {
+      const same = pending.find(job => !job.write && job.key === key);
+      if (same) {
+        // Run as soon as its most urgent caller needs it
+        same.priority = Math.min(same.priority, priority);
+        return same.promise;
+      }
+    }
+
+    if (!write && supersede !== undefined) {
+      for (let i = pending.length - 1; i >= 0; i--) {
+        const job = pending[i];
+        if (!job.write && job.supersede === supersede) {
+          pending.splice(i, 1);
+          job.resolve(canceledResult(job));
+        }
+      }
+    }
+
+    const job = { task, write, priority, key, supersede, seq: seq++ };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    pending.push(job);
+    next();
+    return job.promise;
+  }
+
+  return {
+    push,
+    size: () => pending.length + (active ? 1 : 0),
+  };
+}
+
+module.exports = {
+  PRIORITY,
+  createQueue,
+};
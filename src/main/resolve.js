@@ -13,22 +13,50 @@ let WorkflowIntegration = null;
 let resolveObj = null;
 
 /**
- * Initialize Resolve connection (lazy)
+ * Default backend: the native module from the plugin directory
  */
-async function initialize() {
-  if (resolveObj) return true;
-
-  try {
-    // Load native module from plugin directory
+const nativeBackend = {
+  name: 'WorkflowIntegration',
+  async load() {
     WorkflowIntegration = require(path.join(__dirname, 'WorkflowIntegration.node'));
-    
+
     const success = await WorkflowIntegration.Initialize(PLUGIN_ID);
     if (!success) {
       console.error('[Resolve] Failed to initialize WorkflowIntegration');
-      return false;
+      return null;
     }
 
-    resolveObj = await WorkflowIntegration.GetResolve();
+    return WorkflowIntegration.GetResolve();
+  },
+};
+
+let backend = nativeBackend;
+
+/**
+ * Choose where the Resolve object comes from, e.g. the fake Resolve in
+ * src/dev/resolve.js. Drops any existing connection.
+ * @param {{name: string, load: function(): Promise<Object|null>}} next
+ */
+function useBackend(next) {
+  backend = next || nativeBackend;
+  resolveObj = null;
+}
+
+/**
+ * Name of the active backend
+ */
+function getBackendName() {
+  return backend.name;
+}
+
+/**
+ * Initialize Resolve connection (lazy)
+ */
+async function initialize() {
+  if (resolveObj) return true;
+
+  try {
+    resolveObj = await backend.load();
     if (!resolveObj) {
       console.error('[Resolve] Failed to get Resolve object');
       return false;
@@ -115,6 +143,8 @@ async function getCurrentPage() {
 }
 
 module.exports = {
+  useBackend,
+  getBackendName,
   initialize,
   getResolve,
   getCurrentComp,
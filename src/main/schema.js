@@ -0,0 +1,64 @@
+/**
+ * Result Schemas - Structural checks for decoded bridge results
+ *
+ * Schemas are plain literals:
+ *   'string', 'number', 'boolean', 'object', 'any'  - primitive types
+ *   [schema]                                         - array of schema
+ *   { key: schema, 'key?': schema }                  - record; '?' marks optional keys
+ *
+ *   checkSchema([{ name: 'x' }], [{ name: 'string', 'type?': 'string' }]) // null
+ */
+
+'use strict';
+
+/**
+ * Type name for error messages
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value
+ * @param {string|Array|Object} schema
+ * @param {string} [where] - Path used in the message
+ * @returns {string|null} First problem found, or null when the value matches
+ */
+function checkSchema(value, schema, where = 'result') {
+  if (schema === 'any') return null;
+
+  if (typeof schema === 'string') {
+    const actual = typeOf(value);
+    const ok = schema === 'number' ? actual === 'number' && Number.isFinite(value) : actual === schema;
+    return ok ? null : `${where} should be ${schema}, got ${actual}`;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) return `${where} should be array, got ${typeOf(value)}`;
+    for (let i = 0; i < value.length; i++) {
+      const problem = checkSchema(value[i], schema[0], `${where}[${i}]`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  if (typeOf(value) !== 'object') return `${where} should be object, got ${typeOf(value)}`;
+  for (const [rawKey, fieldSchema] of Object.entries(schema)) {
+    const optional = rawKey.endsWith('?');
+    const key = optional ? rawKey.slice(0, -1) : rawKey;
+    if (value[key] === undefined || value[key] === null) {
+      if (optional) continue;
+      return `${where}.${key} is missing`;
+    }
+    const problem = checkSchema(value[key], fieldSchema, `${where}.${key}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+module.exports = {
+  checkSchema,
+};
@@ -8,6 +8,7 @@
 // State
 let currentTool = null;
 let currentInput = null;
+let model = null; // Comp snapshot, fetched once per refresh
 
 // DOM Elements
 const statusEl = document.getElementById('status');
@@ -73,7 +74,29 @@ async function refresh() {
 }
 
 /**
- * Load tools into dropdown and auto-select if one is selected in Fusion
+ * Index a comp snapshot for lookups by tool name and input ID
+ * @param {{tools: Object[], selected: string[]}} snapshot - From getSnapshot
+ */
+function createModel(snapshot) {
+  const tools = new Map(snapshot.tools.map(tool => [
+    tool.name,
+    { tool, inputs: new Map(tool.inputs.map(input => [input.id, input])) },
+  ]));
+
+  return {
+    tools: snapshot.tools,
+    selected: snapshot.selected.filter(name => tools.has(name)),
+    tool: name => (tools.has(name) ? tools.get(name).tool : null),
+    input: (toolName, inputId) => {
+      const entry = tools.get(toolName);
+      return (entry && entry.inputs.get(inputId)) || null;
+    },
+  };
+}
+
+/**
+ * Load the comp snapshot, fill the tool dropdown and auto-select
+ * the first tool selected in Fusion
  */
 async function loadTools() {
   toolSelect.innerHTML = '<option value="">Select a tool...</option>';
@@ -81,41 +104,36 @@ async function loadTools() {
   keyframesSection.style.display = 'none';
   currentTool = null;
   currentInput = null;
+  model = null;
 
   try {
-    // Get all tools and selected tools in parallel
-    const [allResult, selectedResult] = await Promise.all([
-      window.api.getAllTools(),
-      window.api.getSelectedTools()
-    ]);
-    
-    console.log('[loadTools] allResult:', allResult);
-    console.log('[loadTools] selectedResult:', selectedResult);
-    
-    if (allResult.error) {
-      console.error('Failed to load tools:', allResult.error);
+    const result = await window.api.getSnapshot();
+    console.log('[loadTools] snapshot result:', result);
+
+    // A newer refresh replaced this one
+    if (result.code === 'canceled') return;
+
+    if (result.error) {
+      console.error('Failed to load tools:', result.error);
+      showError(`Could not read the composition: ${result.error}`, result.hint);
       return;
     }
 
-    const tools = allResult.tools || [];
-    const selected = selectedResult.tools || [];
-    
-    console.log('[loadTools] tools:', tools);
-    console.log('[loadTools] selected:', selected);
-    
+    model = createModel(result.snapshot);
+
     // Add all tools to dropdown
-    tools.forEach(name => {
+    model.tools.forEach(tool => {
       const opt = document.createElement('option');
-      opt.value = name;
-      opt.textContent = name;
+      opt.value = tool.name;
+      opt.textContent = tool.type ? `${tool.name} (${tool.type})` : tool.name;
       toolSelect.appendChild(opt);
     });
 
     // Auto-select first selected tool (if any)
-    if (selected.length > 0) {
-      console.log('[loadTools] Auto-selecting:', selected[0]);
-      toolSelect.value = selected[0];
-      await onToolChange(); // Load inputs for selected tool
+    if (model.selected.length > 0) {
+      console.log('[loadTools] Auto-selecting:', model.selected[0]);
+      toolSelect.value = model.selected[0];
+      onToolChange(); // Show inputs for selected tool
     }
 
   } catch (e) {
@@ -126,7 +144,7 @@ async function loadTools() {
 /**
  * Handle tool selection
  */
-async function onToolChange() {
+function onToolChange() {
   const toolName = toolSelect.value;
   
   inputSection.style.display = 'none';
@@ -134,87 +152,52 @@ async function onToolChange() {
   noKeyframesHint.style.display = 'none';
   currentInput = null;
 
-  if (!toolName) {
+  const tool = model && toolName ? model.tool(toolName) : null;
+  if (!tool) {
     currentTool = null;
     return;
   }
 
   currentTool = toolName;
 
-  // Load animated inputs
-  try {
-    console.log('[onToolChange] Getting animated inputs for:', toolName);
-    const result = await window.api.getAnimatedInputs(toolName);
-    console.log('[onToolChange] getAnimatedInputs result:', result);
-    
-    if (result.error) {
-      console.error('Failed to load inputs:', result.error);
-      return;
-    }
+  // Animated inputs come with the snapshot
+  const inputs = tool.inputs;
+  inputSelect.innerHTML = '<option value="">Select an input...</option>';
+  inputSection.style.display = 'block';
 
-    const inputs = result.inputs || [];
-    console.log('[onToolChange] inputs array:', inputs);
-    
-    inputSelect.innerHTML = '<option value="">Select an input...</option>';
-    
-    console.log('[onToolChange] inputs.length:', inputs.length);
-    if (inputs.length === 0) {
-      console.log('[onToolChange] No inputs - showing hint');
-      inputSection.style.display = 'block';
-      noKeyframesHint.style.display = 'block';
-      inputSelect.disabled = true;
-    } else {
-      console.log('[onToolChange] Found inputs - populating dropdown');
-      inputSection.style.display = 'block';
-      noKeyframesHint.style.display = 'none';
-      inputSelect.disabled = false;
-      
-      inputs.forEach(name => {
-        console.log('[onToolChange] Adding option:', name);
-        const opt = document.createElement('option');
-        opt.value = name;
-        opt.textContent = name;
-        inputSelect.appendChild(opt);
-      });
-    }
-
-  } catch (e) {
-    console.error('Failed to load inputs:', e);
+  if (inputs.length === 0) {
+    noKeyframesHint.style.display = 'block';
+    inputSelect.disabled = true;
+    return;
   }
+
+  noKeyframesHint.style.display = 'none';
+  inputSelect.disabled = false;
+  inputs.forEach(input => {
+    const opt = document.createElement('option');
+    opt.value = input.id;
+    opt.textContent = input.name;
+    inputSelect.appendChild(opt);
+  });
 }
 
 /**
  * Handle input selection
  */
-async function onInputChange() {
+function onInputChange() {
   const inputName = inputSelect.value;
   
   keyframesSection.style.display = 'none';
 
-  if (!inputName || !currentTool) {
+  const input = model && currentTool && inputName ? model.input(currentTool, inputName) : null;
+  if (!input) {
     currentInput = null;
     return;
   }
 
   currentInput = inputName;
-
-  // Load keyframes
-  try {
-    const result = await window.api.getKeyframes(currentTool, inputName);
-    
-    if (result.error) {
-      console.error('Failed to load keyframes:', result.error);
-      return;
-    }
-
-    const keyframes = result.keyframes || [];
-    
-    keyframesSection.style.display = 'block';
-    renderKeyframes(keyframes);
-
-  } catch (e) {
-    console.error('Failed to load keyframes:', e);
-  }
+  keyframesSection.style.display = 'block';
+  renderKeyframes(input.keyframes);
 }
 
 /**
@@ -0,0 +1,188 @@
+/**
+ * After Effects Interop
+ * Convert AE temporal ease (speed + influence per side) to and from our
+ * bezier handles, and parse AE's "Keyframe Data" clipboard text.
+ *
+ * AE describes each side of a keyframe by a speed (value units per
+ * second) and an influence (% of the segment's duration). The handle
+ * reaches influence% of the way in time, at the height that speed gives:
+ *
+ *   out handle: x1 = outInfluence / 100
+ *               y1 = outSpeed * x1 * seconds / valueDelta
+ *   in handle:  x2 = 1 - inInfluence / 100
+ *               y2 = 1 - inSpeed * (1 - x2) * seconds / valueDelta
+ */
+
+'use strict';
+
+// AE clamps influence to this range
+const AE_INFLUENCE_MIN = 0.1;
+const AE_INFLUENCE_MAX = 100;
+
+/**
+ * @typedef {Object} AeEase
+ * @property {{speed: number, influence: number}} out - First key's outgoing ease
+ * @property {{speed: number, influence: number}} in - Second key's incoming ease
+ */
+
+/**
+ * Validate an AE ease side
+ */
+function assertEaseSide(side, label) {
+  if (!side || !Number.isFinite(side.speed) || !Number.isFinite(side.influence)) {
+    throw new Error(`${label} ease needs a finite speed and influence`);
+  }
+  if (side.influence < AE_INFLUENCE_MIN || side.influence > AE_INFLUENCE_MAX) {
+    throw new Error(`${label} influence must be within ${AE_INFLUENCE_MIN}-${AE_INFLUENCE_MAX}%`);
+  }
+}
+
+/**
+ * Segment duration in seconds, validating the pair
+ */
+function segmentSeconds(frameDelta, frameRate) {
+  if (!(frameDelta > 0)) throw new Error('Frame delta must be positive');
+  if (!(frameRate > 0)) throw new Error('Frame rate must be positive');
+  return frameDelta / frameRate;
+}
+
+/**
+ * Relative handles for an AE ease on a keyframe pair. Unlike normalized
+ * handles these don't depend on the value change, so they also work for
+ * pairs with equal values.
+ * @param {AeEase} ease
+ * @param {number} frameDelta - Frames between the keys
+ * @param {number} frameRate - Frames per second
+ * @returns {{rh1: {x: number, y: number}, lh2: {x: number, y: number}}}
+ */
+function aeEaseToHandles(ease, frameDelta, frameRate) {
+  assertEaseSide(ease && ease.out, 'Out');
+  assertEaseSide(ease && ease.in, 'In');
+  const seconds = segmentSeconds(frameDelta, frameRate);
+  const outT = ease.out.influence / 100;
+  const inT = ease.in.influence / 100;
+  return {
+    rh1: { x: frameDelta * outT, y: ease.out.speed * outT * seconds },
+    lh2: { x: -frameDelta * inT, y: -ease.in.speed * inT * seconds },
+  };
+}
+
+/**
+ * Normalized control points [x1, y1, x2, y2] for an AE ease
+ * @param {AeEase} ease
+ * @param {number} frameDelta - Frames between the keys
+ * @param {number} valueDelta - Value change between the keys (non-zero)
+ * @param {number} frameRate - Frames per second
+ * @returns {number[]}
+ */
+function aeEaseToControlPoints(ease, frameDelta, valueDelta, frameRate) {
+  if (!valueDelta) {
+    throw new Error('Normalized handles need a value change; use aeEaseToHandles');
+  }
+  const { rh1, lh2 } = aeEaseToHandles(ease, frameDelta, frameRate);
+  return [
+    rh1.x / frameDelta,
+    rh1.y / valueDelta,
+    1 + lh2.x / frameDelta,
+    1 + lh2.y / valueDelta,
+  ];
+}
+
+/**
+ * AE speed and influence for normalized control points
+ * @param {number[]} points - [x1, y1, x2, y2]
+ * @param {number} frameDelta - Frames between the keys
+ * @param {number} valueDelta - Value change between the keys
+ * @param {number} frameRate - Frames per second
+ * @returns {AeEase} Influence is clamped to AE's 0.1-100% range
+ */
+function controlPointsToAeEase(points, frameDelta, valueDelta, frameRate) {
+  const [x1, y1, x2, y2] = points;
+  const seconds = segmentSeconds(frameDelta, frameRate);
+  const clamp = n => Math.max(AE_INFLUENCE_MIN, Math.min(AE_INFLUENCE_MAX, n));
+  // Speed is the handle's slope, so it survives clamping a zero-length handle
+  const outX = Math.max(x1, 1e-9);
+  const inX = Math.max(1 - x2, 1e-9);
+  return {
+    out: { speed: (y1 * valueDelta) / (outX * seconds), influence: clamp(x1 * 100) },
+    in: { speed: ((1 - y2) * valueDelta) / (inX * seconds), influence: clamp((1 - x2) * 100) },
+  };
+}
+
+// ============ Keyframe Data Clipboard ============
+
+/**
+ * Parse AE's "Keyframe Data" clipboard text (Edit > Copy on keyframes).
+ * The clipboard carries values only, no ease, so each property comes back
+ * as one channel of canonical keyframes per dimension.
+ *
+ *   Adobe After Effects 8.0 Keyframe Data
+ *
+ *   	Units Per Second	24
+ *   	Source Width	1920
+ *
+ *   Transform	Position
+ *   	Frame	X pixels	Y pixels
+ *   	0	960	540
+ *   	24	1200	540
+ *
+ *   End of Keyframe Data
+ *
+ * @param {string} text
+ * @returns {{frameRate: number|null, settings: Object, properties: Array<{
+ *   group: string, name: string,
+ *   channels: Array<{name: string, keyframes: import('./keyframes').Keyframe[]}>}>}}
+ */
+function parseAeKeyframeData(text) {
+  const lines = String(text).split(/\r?\n/);
+  if (!lines.some(line => /Keyframe Data/.test(line))) {
+    throw new Error('Not After Effects keyframe data');
+  }
+
+  const settings = {};
+  const properties = [];
+  let property = null;
+
+  for (const line of lines) {
+    if (!line.trim() || /Keyframe Data/.test(line)) continue;
+    const cells = line.split('\t').map(cell => cell.trim());
+
+    // Unindented rows start a property: "Transform	Position"
+    if (!line.startsWith('\t') && !line.startsWith(' ')) {
+      property = { group: cells[0], name: cells[1] || cells[0], channels: null };
+      properties.push(property);
+      continue;
+    }
+
+    const [, label, ...rest] = cells;
+    const values = rest.filter(cell => cell !== '');
+    if (!property) {
+      settings[label] = Number.isFinite(Number(values[0])) ? Number(values[0]) : values[0];
+    } else if (label === 'Frame') {
+      property.channels = values.map(name => ({ name, keyframes: [] }));
+    } else if (property.channels && Number.isFinite(Number(label))) {
+      property.channels.forEach((channel, i) => {
+        const value = Number(values[i]);
+        if (Number.isFinite(value)) {
+          channel.keyframes.push({ frame: Number(label), value });
+        }
+      });
+    }
+  }
+
+  const frameRate = settings['Units Per Second'];
+  return {
+    frameRate: Number.isFinite(frameRate) ? frameRate : null,
+    settings,
+    properties: properties.filter(p => p.channels),
+  };
+}
+
+module.exports = {
+  AE_INFLUENCE_MIN,
+  AE_INFLUENCE_MAX,
+  aeEaseToHandles,
+  aeEaseToControlPoints,
+  controlPointsToAeEase,
+  parseAeKeyframeData,
+};
@@ -0,0 +1,349 @@
+/**
+ * CSS Timing Functions
+ * Parse CSS <easing-function> strings into easing specs and serialize
+ * easings back, so motion specified for the web can be used directly.
+ *
+ *   'ease-in-out'                  -> [0.42, 0, 0.58, 1]
+ *   'cubic-bezier(.17,.67,.83,.67)' -> [0.17, 0.67, 0.83, 0.67]
+ *   'steps(4, jump-end)'           -> { steps: 4, jump: 'jump-end' }
+ *   'linear(0, 0.25 25%, 1)'       -> { linear: [[0, 0], [0.25, 0.25], [1, 1]] }
+ */
+
+'use strict';
+
+const {
+  registerEasing,
+  toControlPoints,
+  toEasingFunction,
+  toStepsSpec,
+  isLinearSpec,
+  measureFit,
+} = require('./easing');
+
+// CSS keywords and the easing specs they stand for
+const CSS_KEYWORDS = {
+  'linear': 'linear',
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+  'step-start': { steps: 1, jump: 'jump-start' },
+  'step-end': { steps: 1, jump: 'jump-end' },
+};
+
+// Max deviation of linear() from the easing, as a fraction of the value change
+const LINEAR_TOLERANCE = 0.001;
+
+// Stops are rounded to this many decimals (percentages keep two fewer)
+const LINEAR_PRECISION = 4;
+
+const LINEAR_SCAN_SAMPLES = 1000;
+const LINEAR_SEGMENT_SAMPLES = 32;
+const LINEAR_CHECK_SAMPLES = 2000;
+const LINEAR_MAX_STOPS = 500;
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/;
+const PERCENTAGE = /^([+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)%$/;
+
+/**
+ * Parse a CSS <number>
+ */
+function parseNumber(token) {
+  if (!NUMBER.test(token)) {
+    throw new Error(`Expected a number, got "${token}"`);
+  }
+  return Number(token);
+}
+
+/**
+ * Parse the stops of linear(), filling in missing inputs the way CSS does:
+ * the first defaults to 0%, the last to 100%, inputs never go backwards and
+ * runs without inputs are spread evenly between their neighbours.
+ * @returns {number[][]} [t, value] stops
+ */
+function parseLinearStops(args) {
+  const points = [];
+  for (const arg of args) {
+    const tokens = arg.trim().split(/\s+/);
+    const numbers = tokens.filter(token => !PERCENTAGE.test(token));
+    const inputs = tokens.filter(token => PERCENTAGE.test(token));
+    if (numbers.length !== 1 || inputs.length > 2) {
+      throw new Error(`Invalid linear() stop: "${arg.trim()}"`);
+    }
+    const output = parseNumber(numbers[0]);
+    if (inputs.length === 0) {
+      points.push({ output, input: null });
+    }
+    for (const input of inputs) {
+      points.push({ output, input: Number(input.match(PERCENTAGE)[1]) / 100 });
+    }
+  }
+  if (points.length < 2) {
+    throw new Error('linear() needs at least 2 stops');
+  }
+
+  const last = points.length - 1;
+  if (points[0].input === null) points[0].input = 0;
+  let largest = points[0].input;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].input === null) continue;
+    points[i].input = Math.max(points[i].input, largest);
+    largest = points[i].input;
+  }
+  if (points[last].input === null) points[last].input = Math.max(1, largest);
+
+  for (let i = 1; i < last; i++) {
+    if (points[i].input !== null) continue;
+    let end = i;
+    while (points[end].input === null) end++;
+    const from = points[i - 1].input;
+    const step = (points[end].input - from) / (end - i + 1);
+    for (let j = i; j < end; j++) points[j].input = from + step * (j - i + 1);
+    i = end;
+  }
+
+  return points.map(p => [p.input, p.output]);
+}
+
+/**
+ * Parse a CSS easing function into an easing spec accepted by
+ * toControlPoints, toEasingFunction and easingToNodes
+ * @param {string} css - e.g. 'ease-in-out', 'cubic-bezier(.17,.67,.83,.67)'
+ * @returns {string|number[]|Object}
+ */
+function parseCssEasing(css) {
+  if (typeof css !== 'string') {
+    throw new Error('CSS easing must be a string');
+  }
+  const text = css.trim().toLowerCase().replace(/;$/, '');
+  if (Object.prototype.hasOwnProperty.call(CSS_KEYWORDS, text)) {
+    const spec = CSS_KEYWORDS[text];
+    return Array.isArray(spec) ? [...spec] : typeof spec === 'object' ? { ...spec } : spec;
+  }
+
+  const match = text.match(/^([a-z-]+)\(([^()]*)\)$/);
+  if (!match) {
+    throw new Error(`Unknown CSS easing: "${css}"`);
+  }
+  const [, fn, body] = match;
+  const args = body.split(',');
+
+  if (fn === 'cubic-bezier') {
+    if (args.length !== 4) {
+      throw new Error('cubic-bezier() needs 4 numbers');
+    }
+    const points = args.map(arg => parseNumber(arg.trim()));
+    // Validates x1/x2 within [0, 1]
+    toControlPoints(points);
+    return points;
+  }
+
+  if (fn === 'steps') {
+    if (args.length > 2) {
+      throw new Error('steps() takes a count and an optional jump term');
+    }
+    const { count, jump } = toStepsSpec({
+      steps: parseNumber(args[0].trim()),
+      jump: args[1] ? args[1].trim() : undefined,
+    });
+    return { steps: count, jump };
+  }
+
+  if (fn === 'linear') {
+    return { linear: parseLinearStops(args) };
+  }
+
+  throw new Error(`Unknown CSS easing function: ${fn}()`);
+}
+
+/**
+ * Parse a CSS easing and register it under a name
+ * @param {string} name - Registry name
+ * @param {string} css - CSS easing function
+ * @param {Object} [options] - displayName, category (defaults to 'CSS')
+ * @returns {string|number[]|Object} The parsed spec
+ */
+function registerCssEasing(name, css, options = {}) {
+  const spec = parseCssEasing(css);
+  registerEasing(name, {
+    fn: toEasingFunction(spec),
+    displayName: options.displayName || css.trim(),
+    category: options.category || 'CSS',
+    bezier: toStepsSpec(spec) ? false : undefined,
+  });
+  return spec;
+}
+
+/**
+ * Round to a number of decimals
+ */
+function round(n, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(n * factor) / factor;
+}
+
+/**
+ * Value of the linear() stops at t
+ */
+function stopsValue(stops, t) {
+  let i = 0;
+  while (i < stops.length - 2 && stops[i + 1][0] <= t) i++;
+  const [t0, v0] = stops[i];
+  const [t1, v1] = stops[i + 1];
+  return t1 === t0 ? v1 : v0 + ((t - t0) / (t1 - t0)) * (v1 - v0);
+}
+
+/**
+ * Approximate an easing with linear() stops: the fewest stops that stay
+ * within tolerance, found by splitting each span at its worst point.
+ * Peaks and bounce contacts are always stops so they aren't clipped.
+ * @param {string|Object|number[]|Function} easing
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Max normalized deviation
+ * @param {number} [options.precision] - Decimals for stop values
+ * @returns {{stops: number[][], maxError: number}} [t, value] stops
+ */
+function toLinearStops(easing, { tolerance = LINEAR_TOLERANCE, precision = LINEAR_PRECISION } = {}) {
+  const fn = toEasingFunction(easing);
+  if (!fn) throw new Error(`Unknown easing: ${JSON.stringify(easing)}`);
+  const stop = t => {
+    const at = round(t, precision);
+    return [at, round(fn(at), precision)];
+  };
+
+  // Seed with the ends and every change of direction
+  const seeds = [0];
+  let prevDir = 0;
+  for (let i = 1; i <= LINEAR_SCAN_SAMPLES; i++) {
+    const t0 = (i - 1) / LINEAR_SCAN_SAMPLES;
+    const t1 = i / LINEAR_SCAN_SAMPLES;
+    const dir = Math.sign(fn(t1) - fn(t0));
+    if (dir !== 0) {
+      if (prevDir !== 0 && dir !== prevDir) seeds.push(t0);
+      prevDir = dir;
+    }
+  }
+  seeds.push(1);
+
+  const stops = [stop(0)];
+  const split = (a, b) => {
+    const [t0] = a;
+    const [t1] = b;
+    let worst = 0;
+    let worstAt = null;
+    for (let i = 1; i < LINEAR_SEGMENT_SAMPLES; i++) {
+      const t = t0 + (t1 - t0) * (i / LINEAR_SEGMENT_SAMPLES);
+      const err = Math.abs(stopsValue([a, b], t) - fn(t));
+      if (err > worst) {
+        worst = err;
+        worstAt = t;
+      }
+    }
+    const mid = worstAt === null ? null : stop(worstAt);
+    if (worst <= tolerance || !mid || mid[0] <= t0 || mid[0] >= t1 || stops.length >= LINEAR_MAX_STOPS) {
+      stops.push(b);
+      return;
+    }
+    split(a, mid);
+    split(stops[stops.length - 1], b);
+  };
+  for (let i = 1; i < seeds.length; i++) {
+    const last = stops[stops.length - 1];
+    const next = stop(seeds[i]);
+    if (next[0] > last[0]) split(last, next);
+  }
+
+  let maxError = 0;
+  for (let i = 0; i <= LINEAR_CHECK_SAMPLES; i++) {
+    const t = i / LINEAR_CHECK_SAMPLES;
+    maxError = Math.max(maxError, Math.abs(stopsValue(stops, t) - fn(t)));
+  }
+  return { stops, maxError };
+}
+
+/**
+ * Format a number the way a person would write it in CSS
+ */
+function formatNumber(n, precision) {
+  const rounded = Number(n.toFixed(precision));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * CSS keyword for control points, if they round to one
+ */
+function cssKeyword(points, precision) {
+  const key = points.map(n => formatNumber(n, precision)).join(',');
+  return Object.keys(CSS_KEYWORDS).find(keyword => {
+    const spec = CSS_KEYWORDS[keyword];
+    return Array.isArray(spec) && spec.map(n => formatNumber(n, precision)).join(',') === key;
+  });
+}
+
+/**
+ * Serialize [t, value] stops as linear(), dropping inputs CSS would infer
+ */
+function formatLinear(stops, precision) {
+  const last = stops.length - 1;
+  const parts = stops.map(([t, value], i) => {
+    const output = formatNumber(value, precision);
+    const inferred = (i === 0 && t === 0) || (i === last && t === 1);
+    return inferred ? output : `${output} ${formatNumber(t * 100, Math.max(0, precision - 2))}%`;
+  });
+  return `linear(${parts.join(', ')})`;
+}
+
+/**
+ * Export an easing as a CSS linear() function within tolerance
+ * @param {string|Object|number[]|Function} easing
+ * @param {Object} [options] - tolerance, precision (see toLinearStops)
+ * @returns {string}
+ */
+function toLinearCss(easing, options = {}) {
+  const { precision = LINEAR_PRECISION } = options;
+  return formatLinear(toLinearStops(easing, options).stops, precision);
+}
+
+/**
+ * Serialize an easing to the closest CSS easing function.
+ * Beziers become a keyword or cubic-bezier(), steps stay steps();
+ * everything else (Elastic, Bounce, springs, custom curves) is exported
+ * as linear() stops. Fitted curves only stay cubic-bezier() when the fit
+ * is within the tolerance too, so easeInOutExpo (a 3.6% fit) is linear().
+ * @param {string|Object|number[]|Function} easing
+ * @param {Object} [options]
+ * @param {number} [options.precision=3] - Decimal places for cubic-bezier()
+ * @param {number} [options.tolerance=LINEAR_TOLERANCE] - Max deviation of
+ *   the exported curve, cubic-bezier() or linear()
+ * @returns {string}
+ */
+function toCss(easing, { precision = 3, tolerance = LINEAR_TOLERANCE } = {}) {
+  if (easing === 'linear') return 'linear';
+
+  const steps = toStepsSpec(easing);
+  if (steps) return `steps(${steps.count}, ${steps.jump})`;
+
+  if (isLinearSpec(easing)) {
+    return formatLinear(easing.linear, Math.max(precision, LINEAR_PRECISION));
+  }
+
+  const points = toControlPoints(easing);
+  const fn = points && toEasingFunction(easing);
+  if (!points || (fn && measureFit(points, fn).maxError > tolerance)) {
+    return toLinearCss(easing, { tolerance });
+  }
+  if (points[0] === points[1] && points[2] === points[3]) return 'linear';
+  const keyword = cssKeyword(points, precision);
+  if (keyword) return keyword;
+  return `cubic-bezier(${points.map(n => formatNumber(n, precision)).join(', ')})`;
+}
+
+module.exports = {
+  CSS_KEYWORDS,
+  LINEAR_TOLERANCE,
+  parseCssEasing,
+  registerCssEasing,
+  toLinearStops,
+  toLinearCss,
+  toCss,
+};
@@ -1,14 +1,117 @@
 /**
  * Easing Functions
  * Standard easing curves for animation
- * 
- * These will be used in Milestone 2 for applying easing to keyframes.
- * For now, this is a placeholder with the core functions defined.
+ *
+ * Pure math, shared by the main process and the preview. Everything that
+ * gets applied to keyframes resolves to bezier control points through
+ * toControlPoints, or to a function through toEasingFunction.
  */
 
 'use strict';
 
+// ============ Parameterized Families ============
+
+/**
+ * Elastic with amplitude (>= 1) and period (fraction of the duration).
+ * amplitude 1, period 0.3 is the classic Penner/easings.net curve.
+ */
+function elasticPhase(amplitude, period) {
+  return (period / (2 * Math.PI)) * Math.asin(1 / amplitude);
+}
+
+/**
+ * Bounce arcs for a ball dropped from 1 that bounces `count` times, each
+ * bounce keeping `restitution` of its speed. count 3, restitution 0.5 is the
+ * classic curve (the 7.5625 / 2.75 constants).
+ */
+function bounceOut(t, { count, restitution }) {
+  let total = 1;
+  for (let i = 1; i <= count; i++) total += 2 * Math.pow(restitution, i);
+  const fall = 1 / total;
+  if (t < fall) return (t / fall) * (t / fall);
+
+  let start = fall;
+  for (let i = 1; i <= count; i++) {
+    const half = fall * Math.pow(restitution, i);
+    if (t < start + 2 * half || i === count) {
+      const x = (t - start - half) / half;
+      const height = Math.pow(restitution, 2 * i);
+      return 1 - height * (1 - x * x);
+    }
+    start += 2 * half;
+  }
+  return 1;
+}
+
+// Easing families with tunable parameters.
+// Each param: { name, min, max, default, integer? }
+const families = {
+  poly: {
+    params: [{ name: 'power', min: 1, max: 10, default: 3 }],
+    in: (t, { power }) => Math.pow(t, power),
+    out: (t, { power }) => 1 - Math.pow(1 - t, power),
+    inOut: (t, { power }) => t < 0.5
+      ? Math.pow(2, power - 1) * Math.pow(t, power)
+      : 1 - Math.pow(-2 * t + 2, power) / 2,
+  },
+
+  back: {
+    params: [{ name: 'overshoot', min: 0, max: 10, default: 1.70158 }],
+    in: (t, { overshoot: c }) => (c + 1) * t * t * t - c * t * t,
+    out: (t, { overshoot: c }) => 1 + (c + 1) * Math.pow(t - 1, 3) + c * Math.pow(t - 1, 2),
+    inOut: (t, { overshoot }) => {
+      const c = overshoot * 1.525;
+      return t < 0.5
+        ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+        : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+    },
+  },
+
+  elastic: {
+    params: [
+      { name: 'amplitude', min: 1, max: 3, default: 1 },
+      { name: 'period', min: 0.1, max: 1, default: 0.3 },
+    ],
+    in: (t, { amplitude: a, period: p }) => {
+      if (t === 0) return 0;
+      if (t === 1) return 1;
+      const s = elasticPhase(a, p);
+      return -a * Math.pow(2, 10 * t - 10) * Math.sin((t - 1 - s) * (2 * Math.PI) / p);
+    },
+    out: (t, { amplitude: a, period: p }) => {
+      if (t === 0) return 0;
+      if (t === 1) return 1;
+      const s = elasticPhase(a, p);
+      return a * Math.pow(2, -10 * t) * Math.sin((t - s) * (2 * Math.PI) / p) + 1;
+    },
+    inOut: (t, { amplitude: a, period }) => {
+      if (t === 0) return 0;
+      if (t === 1) return 1;
+      // Each half runs at double speed with a 1.5x longer period (Penner)
+      const p = period * 0.75;
+      const s = elasticPhase(a, p);
+      const wave = Math.sin((t - 0.5 - s) * (2 * Math.PI) / p);
+      return t < 0.5
+        ? -(a * Math.pow(2, 20 * t - 10) * wave) / 2
+        : (a * Math.pow(2, -20 * t + 10) * wave) / 2 + 1;
+    },
+  },
+
+  bounce: {
+    params: [
+      { name: 'count', min: 1, max: 10, default: 3, integer: true },
+      { name: 'restitution', min: 0.05, max: 0.95, default: 0.5 },
+    ],
+    in: (t, params) => 1 - bounceOut(1 - t, params),
+    out: (t, params) => bounceOut(t, params),
+    inOut: (t, params) => t < 0.5
+      ? (1 - bounceOut(1 - 2 * t, params)) / 2
+      : (1 + bounceOut(2 * t - 1, params)) / 2,
+  },
+};
+
 // Core easing functions - t is normalized time [0, 1]
+// Families and custom easings are added by registerEasing (see Registry).
 const easings = {
   // Linear
   linear: t => t,
@@ -52,77 +155,1219 @@ const easings = {
       ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2 
       : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2;
   },
+};
 
-  // Back (overshoot)
-  easeInBack: t => {
-    const c = 1.70158;
-    return (c + 1) * t * t * t - c * t * t;
-  },
-  easeOutBack: t => {
-    const c = 1.70158;
-    return 1 + (c + 1) * Math.pow(t - 1, 3) + c * Math.pow(t - 1, 2);
-  },
-  easeInOutBack: t => {
-    const c = 1.70158 * 1.525;
-    return t < 0.5 
-      ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2 
-      : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
-  },
+// ============ Cubic Bezier ============
 
-  // Elastic
-  easeInElastic: t => {
-    if (t === 0) return 0;
-    if (t === 1) return 1;
-    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3);
-  },
-  easeOutElastic: t => {
-    if (t === 0) return 0;
-    if (t === 1) return 1;
-    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
-  },
-  easeInOutElastic: t => {
-    if (t === 0) return 0;
-    if (t === 1) return 1;
-    return t < 0.5
-      ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * (2 * Math.PI) / 4.5)) / 2
-      : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * (2 * Math.PI) / 4.5)) / 2 + 1;
-  },
+const NEWTON_ITERATIONS = 8;
+const NEWTON_MIN_SLOPE = 1e-6;
+const SOLVE_EPSILON = 1e-7;
+const BISECTION_ITERATIONS = 60;
 
-  // Bounce
-  easeOutBounce: t => {
-    const n1 = 7.5625;
-    const d1 = 2.75;
-    if (t < 1 / d1) return n1 * t * t;
-    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
-    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
-    return n1 * (t -= 2.625 / d1) * t + 0.984375;
-  },
-  easeInBounce: t => 1 - easings.easeOutBounce(1 - t),
-  easeInOutBounce: t => {
-    return t < 0.5
-      ? (1 - easings.easeOutBounce(1 - 2 * t)) / 2
-      : (1 + easings.easeOutBounce(2 * t - 1)) / 2;
-  },
+/**
+ * One coordinate of a unit cubic bezier (P0 = 0, P3 = 1) at parameter s
+ */
+function bezierCoord(p1, p2, s) {
+  const u = 1 - s;
+  return 3 * u * u * s * p1 + 3 * u * s * s * p2 + s * s * s;
+}
+
+/**
+ * Derivative of bezierCoord with respect to s
+ */
+function bezierCoordSlope(p1, p2, s) {
+  const u = 1 - s;
+  return 3 * u * u * p1 + 6 * u * s * (p2 - p1) + 3 * s * s * (1 - p2);
+}
+
+/**
+ * Find the bezier parameter s where the x coordinate equals x.
+ * Newton steps converge in a few iterations for most curves; near-flat
+ * x slopes fall back to bisection, which always converges because x is
+ * monotonic for x1, x2 in [0, 1].
+ */
+function solveBezierParam(x1, x2, x) {
+  let s = x;
+  for (let i = 0; i < NEWTON_ITERATIONS; i++) {
+    const err = bezierCoord(x1, x2, s) - x;
+    if (Math.abs(err) < SOLVE_EPSILON) return s;
+    const slope = bezierCoordSlope(x1, x2, s);
+    if (Math.abs(slope) < NEWTON_MIN_SLOPE) break;
+    s -= err / slope;
+    if (s < 0 || s > 1) break;
+  }
+
+  let lo = 0;
+  let hi = 1;
+  s = x;
+  for (let i = 0; i < BISECTION_ITERATIONS; i++) {
+    const err = bezierCoord(x1, x2, s) - x;
+    if (Math.abs(err) < SOLVE_EPSILON) break;
+    if (err < 0) lo = s;
+    else hi = s;
+    s = (lo + hi) / 2;
+  }
+  return s;
+}
+
+/**
+ * Validate cubic-bezier control points (x must stay within [0, 1], like CSS)
+ */
+function assertControlPoints(points) {
+  if (!Array.isArray(points) || points.length !== 4 || !points.every(Number.isFinite)) {
+    throw new Error('cubic-bezier needs 4 finite numbers');
+  }
+  if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+    throw new Error('cubic-bezier x values must be within [0, 1]');
+  }
+}
+
+/**
+ * Evaluate cubic-bezier(x1, y1, x2, y2) at normalized time t, the way browsers do
+ * @param {number[]} points - [x1, y1, x2, y2]
+ * @param {number} t - Normalized time, clamped to [0, 1]
+ * @returns {{value: number, slope: number}} Eased value and d value / d t
+ */
+function evaluateCubicBezier(points, t) {
+  const [x1, y1, x2, y2] = points;
+  const x = Math.max(0, Math.min(1, t));
+  const s = solveBezierParam(x1, x2, x);
+  const dx = bezierCoordSlope(x1, x2, s);
+  const dy = bezierCoordSlope(y1, y2, s);
+
+  let slope;
+  if (dx !== 0) slope = dy / dx;
+  else slope = dy === 0 ? 0 : Infinity * Math.sign(dy);
+
+  // Exact endpoints, regardless of solver tolerance
+  let value = bezierCoord(y1, y2, s);
+  if (x === 0) value = 0;
+  if (x === 1) value = 1;
+
+  return { value, slope };
+}
+
+/**
+ * Create an easing function (t => value) for cubic-bezier(x1, y1, x2, y2)
+ */
+function cubicBezier(x1, y1, x2, y2) {
+  const points = [x1, y1, x2, y2];
+  assertControlPoints(points);
+  return t => evaluateCubicBezier(points, t).value;
+}
+
+// ============ Bezier Fitting ============
+
+const FIT_SAMPLES = 64;
+const FIT_GRID = 10;
+const FIT_MIN_STEP = 1e-4;
+const FIT_CHECK_SAMPLES = 1000;
+// Slack for rounding when deciding whether a source stays within [0, 1]
+const FIT_RANGE_EPSILON = 1e-9;
+
+// Max deviation for an easing to be applied as a single pair of handles.
+// Every Penner curve fits within this except Elastic and Bounce (> 0.15).
+const FIT_TOLERANCE = 0.05;
+
+const fitCache = new Map();
+
+/**
+ * Best y1, y2 for fixed x1, x2.
+ * y(s) is linear in y1 and y2, so this is a closed-form 2x2 least squares.
+ * When bounded, y1 and y2 stay within [0, 1] so the curve can't overshoot.
+ */
+function fitY(x1, x2, times, targets, bounded = false) {
+  let aa = 0, ab = 0, bb = 0, ar = 0, br = 0;
+  const basis = times.map(t => {
+    const s = solveBezierParam(x1, x2, t);
+    const u = 1 - s;
+    return [3 * u * u * s, 3 * u * s * s, s * s * s];
+  });
+  basis.forEach(([a, b, c], i) => {
+    const r = targets[i] - c;
+    aa += a * a; ab += a * b; bb += b * b;
+    ar += a * r; br += b * r;
+  });
+
+  const sseOf = (y1, y2) => {
+    let sse = 0;
+    basis.forEach(([a, b, c], i) => {
+      const err = a * y1 + b * y2 + c - targets[i];
+      sse += err * err;
+    });
+    return sse;
+  };
+
+  const det = aa * bb - ab * ab;
+  let y1 = det === 0 ? 0 : (ar * bb - br * ab) / det;
+  let y2 = det === 0 ? 1 : (br * aa - ar * ab) / det;
+
+  if (bounded && (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1)) {
+    // The error is convex in y1, y2, so the bounded best lies on an edge
+    // of the unit square: fix one, solve the other, clamp
+    const clamp = v => Math.max(0, Math.min(1, v));
+    let best = null;
+    for (const v of [0, 1]) {
+      for (const [c1, c2] of [
+        [v, clamp(bb === 0 ? 1 : (br - ab * v) / bb)],
+        [clamp(aa === 0 ? 0 : (ar - ab * v) / aa), v],
+      ]) {
+        const sse = sseOf(c1, c2);
+        if (!best || sse < best.sse) best = { y1: c1, y2: c2, sse };
+      }
+    }
+    return { points: [x1, best.y1, x2, best.y2], sse: best.sse };
+  }
+
+  return { points: [x1, y1, x2, y2], sse: sseOf(y1, y2) };
+}
+
+/**
+ * Max and RMS deviation between a cubic-bezier and an easing function
+ */
+function measureFit(points, fn, samples = FIT_CHECK_SAMPLES) {
+  let maxError = 0;
+  let maxErrorAt = 0;
+  let sum = 0;
+  for (let i = 0; i <= samples; i++) {
+    const t = i / samples;
+    const err = Math.abs(evaluateCubicBezier(points, t).value - fn(t));
+    sum += err * err;
+    if (err > maxError) {
+      maxError = err;
+      maxErrorAt = t;
+    }
+  }
+  return { maxError, maxErrorAt, rmsError: Math.sqrt(sum / (samples + 1)) };
+}
+
+/**
+ * Least-squares fit of any easing function to a single cubic bezier.
+ * Searches x1, x2 (coarse grid, then pattern search) and solves y1, y2 exactly.
+ * Functions that stay within [0, 1] get handles that do too, so a fit
+ * never adds overshoot the source doesn't have.
+ * @param {Function} fn - Easing function t => value with fn(0) = 0, fn(1) = 1
+ * @param {Object} [options]
+ * @param {number} [options.samples] - Number of fitting samples
+ * @returns {{points: number[], maxError: number, maxErrorAt: number, rmsError: number}}
+ */
+function fitCubicBezier(fn, { samples = FIT_SAMPLES } = {}) {
+  const times = [];
+  for (let i = 1; i < samples; i++) times.push(i / samples);
+  const targets = times.map(fn);
+  const bounded = targets.every(v => v >= -FIT_RANGE_EPSILON && v <= 1 + FIT_RANGE_EPSILON);
+
+  let best = null;
+  for (let i = 0; i <= FIT_GRID; i++) {
+    for (let j = 0; j <= FIT_GRID; j++) {
+      const candidate = fitY(i / FIT_GRID, j / FIT_GRID, times, targets, bounded);
+      if (!best || candidate.sse < best.sse) best = candidate;
+    }
+  }
+
+  let step = 0.5 / FIT_GRID;
+  while (step > FIT_MIN_STEP) {
+    let improved = false;
+    const [x1, , x2] = best.points;
+    for (const [d1, d2] of [[step, 0], [-step, 0], [0, step], [0, -step]]) {
+      const n1 = Math.max(0, Math.min(1, x1 + d1));
+      const n2 = Math.max(0, Math.min(1, x2 + d2));
+      const candidate = fitY(n1, n2, times, targets, bounded);
+      if (candidate.sse < best.sse) {
+        best = candidate;
+        improved = true;
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  return { points: best.points, ...measureFit(best.points, fn) };
+}
+
+// ============ Influence (In/Out) Easing ============
+
+// Influence is a percentage of the segment duration, like Keyframe Wingman
+const INFLUENCE_MIN = 1;
+const INFLUENCE_MAX = 100;
+
+/**
+ * Clamp an influence percentage to the supported 1-100 range
+ */
+function clampInfluence(influence) {
+  const n = Number(influence);
+  if (!Number.isFinite(n)) {
+    throw new Error(`Invalid influence: ${influence}`);
+  }
+  return Math.min(INFLUENCE_MAX, Math.max(INFLUENCE_MIN, n));
+}
+
+/**
+ * Normalized control points for an influence pair.
+ * Both handles are flat (zero speed), their length is the influence.
+ * @param {number} outInfluence - Outgoing influence of the first keyframe (1-100)
+ * @param {number} inInfluence - Incoming influence of the second keyframe (1-100)
+ * @returns {number[]} [x1, y1, x2, y2]
+ */
+function influenceControlPoints(outInfluence, inInfluence) {
+  const out = clampInfluence(outInfluence) / 100;
+  const inf = clampInfluence(inInfluence) / 100;
+  return [out, 0, 1 - inf, 1];
+}
+
+/**
+ * Evaluate an influence curve at normalized time t
+ * @returns {number} Eased value (0-1)
+ */
+function evaluateInfluence(outInfluence, inInfluence, t) {
+  return evaluateCubicBezier(influenceControlPoints(outInfluence, inInfluence), t).value;
+}
+
+/**
+ * Slope (d value / d t) of an influence curve at normalized time t
+ */
+function influenceDerivative(outInfluence, inInfluence, t) {
+  return evaluateCubicBezier(influenceControlPoints(outInfluence, inInfluence), t).slope;
+}
+
+/**
+ * Create an easing function (t => value) for an influence pair
+ */
+function createInfluenceEasing(outInfluence, inInfluence) {
+  return t => evaluateInfluence(outInfluence, inInfluence, t);
+}
+
+/**
+ * Convert an influence pair to Fusion handles for a keyframe pair.
+ * Handles are RELATIVE offsets from their keyframe.
+ * @returns {{rh1: {x: number, y: number}, lh2: {x: number, y: number}}}
+ */
+function influenceToHandles(outInfluence, inInfluence, frame1, value1, frame2, value2) {
+  const [x1, y1, x2, y2] = influenceControlPoints(outInfluence, inInfluence);
+  const frameDelta = frame2 - frame1;
+  const valueDelta = value2 - value1;
+  return {
+    rh1: { x: frameDelta * x1, y: valueDelta * y1 },
+    lh2: { x: frameDelta * (x2 - 1), y: valueDelta * (y2 - 1) },
+  };
+}
+
+// ============ Spring ============
+
+// Defaults match common Figma/iOS spring specs
+const SPRING_DEFAULTS = { mass: 1, stiffness: 100, damping: 10, velocity: 0 };
+
+// Settled once within 0.1% of the distance travelled
+const SPRING_REST_THRESHOLD = 0.001;
+const SPRING_SCAN_STEP = 1 / 600;
+const SPRING_MAX_DURATION = 120;
+
+/**
+ * Fill in and validate spring parameters.
+ * velocity is the initial velocity in distances per second, like UIKit.
+ */
+function normalizeSpring(params = {}) {
+  const spring = { ...SPRING_DEFAULTS, ...params };
+  for (const key of Object.keys(SPRING_DEFAULTS)) {
+    if (!Number.isFinite(Number(spring[key]))) {
+      throw new Error(`Invalid spring ${key}: ${spring[key]}`);
+    }
+    spring[key] = Number(spring[key]);
+  }
+  if (spring.mass <= 0 || spring.stiffness <= 0) {
+    throw new Error('Spring mass and stiffness must be positive');
+  }
+  if (spring.damping <= 0) {
+    throw new Error('Spring damping must be positive, or it never settles');
+  }
+  return spring;
+}
+
+/**
+ * Value of a spring moving from 0 to 1 at time (seconds).
+ * Closed-form solution of m x'' + c x' + k x = 0 with x(0) = -1.
+ */
+function springValue(params, time) {
+  return springAt(normalizeSpring(params), time);
+}
+
+/**
+ * springValue for already-normalized parameters (hot path)
+ */
+function springAt({ mass, stiffness, damping, velocity }, time) {
+  const w0 = Math.sqrt(stiffness / mass);
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+  const t = Math.max(0, time);
+  let x;
+
+  if (zeta < 1) {
+    const wd = w0 * Math.sqrt(1 - zeta * zeta);
+    const b = (velocity - zeta * w0) / wd;
+    x = Math.exp(-zeta * w0 * t) * (-Math.cos(wd * t) + b * Math.sin(wd * t));
+  } else if (Math.abs(zeta - 1) < 1e-9) {
+    x = Math.exp(-w0 * t) * (-1 + (velocity - w0) * t);
+  } else {
+    const root = w0 * Math.sqrt(zeta * zeta - 1);
+    const r1 = -zeta * w0 + root;
+    const r2 = -zeta * w0 - root;
+    const c2 = (velocity + r1) / (r2 - r1);
+    x = (-1 - c2) * Math.exp(r1 * t) + c2 * Math.exp(r2 * t);
+  }
+  return 1 + x;
+}
+
+/**
+ * Non-increasing bound on |springAt(t) - 1| from t on: the decay
+ * envelope times the amplitude, for normalized parameters
+ */
+function springEnvelope({ mass, stiffness, damping, velocity }, time) {
+  const w0 = Math.sqrt(stiffness / mass);
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+  const t = Math.max(0, time);
+
+  if (zeta < 1) {
+    const wd = w0 * Math.sqrt(1 - zeta * zeta);
+    const b = (velocity - zeta * w0) / wd;
+    return Math.exp(-zeta * w0 * t) * Math.sqrt(1 + b * b);
+  }
+  if (Math.abs(zeta - 1) < 1e-9) {
+    // (1 + a t) e^(-w0 t) rises until its peak, then decays
+    const a = Math.abs(velocity - w0);
+    const peak = a > w0 ? 1 / w0 - 1 / a : 0;
+    const at = Math.max(t, peak);
+    return (1 + a * at) * Math.exp(-w0 * at);
+  }
+  const root = w0 * Math.sqrt(zeta * zeta - 1);
+  const r1 = -zeta * w0 + root;
+  const r2 = -zeta * w0 - root;
+  const c2 = (velocity + r1) / (r2 - r1);
+  return Math.abs(1 + c2) * Math.exp(r1 * t) + Math.abs(c2) * Math.exp(r2 * t);
+}
+
+/**
+ * Time (seconds) until the spring stays within SPRING_REST_THRESHOLD of 1
+ */
+function springSettleDuration(params) {
+  const spring = normalizeSpring(params);
+  let settled = 0;
+  for (let t = 0; t <= SPRING_MAX_DURATION; t += SPRING_SCAN_STEP) {
+    if (Math.abs(springAt(spring, t) - 1) > SPRING_REST_THRESHOLD) {
+      settled = t + SPRING_SCAN_STEP;
+    } else if (springEnvelope(spring, t) <= SPRING_REST_THRESHOLD) {
+      // Nothing later can leave the threshold again
+      break;
+    }
+  }
+  return Math.min(settled, SPRING_MAX_DURATION);
+}
+
+/**
+ * Time (seconds) the spring first reaches 1, or null if it never
+ * overshoots (critically or over-damped)
+ */
+function springFirstCrossing(params) {
+  const spring = normalizeSpring(params);
+  const end = springSettleDuration(spring);
+  for (let t = SPRING_SCAN_STEP; t <= end; t += SPRING_SCAN_STEP) {
+    if (springAt(spring, t) >= 1) {
+      let lo = t - SPRING_SCAN_STEP;
+      let hi = t;
+      for (let i = 0; i < 50; i++) {
+        const mid = (lo + hi) / 2;
+        if (springAt(spring, mid) >= 1) hi = mid;
+        else lo = mid;
+      }
+      return hi;
+    }
+  }
+  return null;
+}
+
+/**
+ * Spring as an easing stretched over its settle duration (t = 1 is at rest)
+ */
+function createSpringEasing(params) {
+  const spring = normalizeSpring(params);
+  const duration = springSettleDuration(spring);
+  return t => {
+    if (t >= 1) return 1;
+    return springAt(spring, Math.max(0, t) * duration);
+  };
+}
+
+/**
+ * Spring timed so it first reaches 1 at t = 1; the settle motion
+ * continues until `end` (> 1). Springs that never overshoot are stretched.
+ * @returns {{fn: Function, end: number}}
+ */
+function createExtendedSpring(params) {
+  const spring = normalizeSpring(params);
+  const crossing = springFirstCrossing(spring);
+  if (!crossing) return { fn: createSpringEasing(spring), end: 1 };
+
+  const end = springSettleDuration(spring) / crossing;
+  return {
+    fn: t => (t >= end ? 1 : springAt(spring, t * crossing)),
+    end,
+  };
+}
+
+/**
+ * Is this a spring easing spec: { spring: { mass, stiffness, damping, velocity }, mode }
+ */
+function isSpringSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && easing.spring);
+}
+
+// ============ Sampled Curves ============
+
+/**
+ * Validate sampled (t, value) points and normalize them so the first is
+ * (0, 0) and the last (1, 1). Points may be in any units (frames, pixels).
+ * @param {Array<number[]|{t: number, value: number}>} points
+ * @returns {number[][]} Sorted [t, value] pairs
+ */
+function normalizeSamples(points) {
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error('Sampled easing needs at least 2 points');
+  }
+  const pairs = points
+    .map(p => (Array.isArray(p) ? [p[0], p[1]] : [p.t, p.value]))
+    .sort((a, b) => a[0] - b[0]);
+  for (let i = 0; i < pairs.length; i++) {
+    if (!Number.isFinite(pairs[i][0]) || !Number.isFinite(pairs[i][1])) {
+      throw new Error(`Invalid sample point: ${JSON.stringify(points[i])}`);
+    }
+    if (i > 0 && pairs[i][0] === pairs[i - 1][0]) {
+      throw new Error(`Duplicate sample at t = ${pairs[i][0]}`);
+    }
+  }
+
+  const [t0, v0] = pairs[0];
+  const [t1, v1] = pairs[pairs.length - 1];
+  if (v1 === v0) {
+    throw new Error('First and last samples must have different values');
+  }
+  return pairs.map(([t, v]) => [(t - t0) / (t1 - t0), (v - v0) / (v1 - v0)]);
+}
+
+/**
+ * Tangents for cubic Hermite interpolation. Monotone tangents follow
+ * Fritsch-Carlson, so the curve never overshoots between samples;
+ * otherwise they are Catmull-Rom style and the curve may overshoot.
+ */
+function sampleTangents(pairs, monotone) {
+  const n = pairs.length;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((pairs[i + 1][1] - pairs[i][1]) / (pairs[i + 1][0] - pairs[i][0]));
+  }
+
+  const m = [slopes[0]];
+  for (let i = 1; i < n - 1; i++) {
+    if (monotone && slopes[i - 1] * slopes[i] <= 0) {
+      m.push(0);
+    } else if (monotone) {
+      m.push((slopes[i - 1] + slopes[i]) / 2);
+    } else {
+      m.push((pairs[i + 1][1] - pairs[i - 1][1]) / (pairs[i + 1][0] - pairs[i - 1][0]));
+    }
+  }
+  m.push(slopes[n - 2]);
+
+  if (monotone) {
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        m[i] = 0;
+        m[i + 1] = 0;
+        continue;
+      }
+      const a = m[i] / slopes[i];
+      const b = m[i + 1] / slopes[i];
+      const h = a * a + b * b;
+      if (h > 9) {
+        const tau = 3 / Math.sqrt(h);
+        m[i] = tau * a * slopes[i];
+        m[i + 1] = tau * b * slopes[i];
+      }
+    }
+  }
+  return m;
+}
+
+/**
+ * Smooth easing through sampled points
+ * @param {Array<number[]|{t: number, value: number}>} points - (t, value) samples
+ * @param {Object} [options]
+ * @param {boolean} [options.monotone=true] - false lets the curve overshoot
+ */
+function createSampledEasing(points, { monotone = true } = {}) {
+  const pairs = normalizeSamples(points);
+  const m = sampleTangents(pairs, monotone);
+  return t => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    let lo = 0;
+    let hi = pairs.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (pairs[mid][0] <= t) lo = mid;
+      else hi = mid;
+    }
+    const [t0, v0] = pairs[lo];
+    const [t1, v1] = pairs[hi];
+    const h = t1 - t0;
+    const s = (t - t0) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    return (2 * s3 - 3 * s2 + 1) * v0 + (s3 - 2 * s2 + s) * h * m[lo] +
+      (-2 * s3 + 3 * s2) * v1 + (s3 - s2) * h * m[hi];
+  };
+}
+
+/**
+ * Is this a sampled easing spec: { points: [[t, value], ...], monotone }
+ */
+function isSampledSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && Array.isArray(easing.points));
+}
+
+// ============ Bezier Paths ============
+
+/**
+ * Validate a path of cubic segments, each [[x0, y0], [x1, y1], [x2, y2], [x3, y3]],
+ * running from (0, 0) to (1, 1). Segments must join up and move forward
+ * in time, with handles inside their segment's time span so each segment
+ * stays a function of t.
+ * @returns {number[][][]}
+ */
+function normalizePath(segments) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new Error('Path needs at least 1 segment');
+  }
+  const path = segments.map((seg, i) => {
+    if (!Array.isArray(seg) || seg.length !== 4 ||
+        !seg.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))) {
+      throw new Error(`Invalid path segment ${i + 1}`);
+    }
+    const [p0, p1, p2, p3] = seg;
+    if (i > 0) {
+      const prev = segments[i - 1][3];
+      if (prev[0] !== p0[0] || prev[1] !== p0[1]) {
+        throw new Error(`Path segment ${i + 1} doesn't start where segment ${i} ends`);
+      }
+    }
+    if (!(p3[0] > p0[0])) {
+      throw new Error(`Path segment ${i + 1} must move forward in time`);
+    }
+    if ([p1[0], p2[0]].some(x => x < p0[0] || x > p3[0])) {
+      throw new Error(`Path segment ${i + 1} has handles outside its time span`);
+    }
+    return seg.map(p => [p[0], p[1]]);
+  });
+  const start = path[0][0];
+  const end = path[path.length - 1][3];
+  if (start[0] !== 0 || start[1] !== 0 || end[0] !== 1 || end[1] !== 1) {
+    throw new Error('Path must run from (0, 0) to (1, 1)');
+  }
+  return path;
+}
+
+/**
+ * Easing function through a path of cubic segments
+ */
+function createPathEasing(segments) {
+  const path = normalizePath(segments);
+  return t => {
+    let i = 0;
+    while (i < path.length - 1 && t > path[i][3][0]) i++;
+    const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = path[i];
+    const dx = x3 - x0;
+    const u = Math.max(0, Math.min(1, (t - x0) / dx));
+    const sp = solveBezierParam((x1 - x0) / dx, (x2 - x0) / dx, u);
+    const v = 1 - sp;
+    return v * v * v * y0 + 3 * v * v * sp * y1 + 3 * v * sp * sp * y2 + sp * sp * sp * y3;
+  };
+}
+
+/**
+ * Is this a bezier path spec: { path: [segment, ...] }
+ */
+function isPathSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && Array.isArray(easing.path));
+}
+
+// ============ Steps & Hold ============
+
+// CSS jump terms (and their legacy aliases)
+const JUMP_TERMS = {
+  'jump-start': 'jump-start',
+  'start': 'jump-start',
+  'jump-end': 'jump-end',
+  'end': 'jump-end',
+  'jump-none': 'jump-none',
+  'jump-both': 'jump-both',
 };
 
+/**
+ * Validate steps(count, jump) the way CSS does
+ * @returns {{count: number, jump: string}}
+ */
+function normalizeSteps(count, jump = 'jump-end') {
+  const term = JUMP_TERMS[jump];
+  if (!term) {
+    throw new Error(`Invalid jump term: ${jump}`);
+  }
+  const minCount = term === 'jump-none' ? 2 : 1;
+  if (!Number.isInteger(count) || count < minCount) {
+    throw new Error(`steps(${count}, ${term}) needs an integer count >= ${minCount}`);
+  }
+  return { count, jump: term };
+}
+
+/**
+ * CSS steps(count, jump) as an easing function
+ */
+function createStepsEasing(count, jump) {
+  const { count: n, jump: term } = normalizeSteps(count, jump);
+  const jumps = term === 'jump-both' ? n + 1 : term === 'jump-none' ? n - 1 : n;
+  return t => {
+    if (t >= 1) return 1;
+    let step = Math.floor(Math.max(0, t) * n);
+    if (term === 'jump-start' || term === 'jump-both') step += 1;
+    return Math.min(step, jumps) / jumps;
+  };
+}
+
+/**
+ * Steps spec for a stepped easing, or null:
+ * 'hold', { steps, jump } or { name: 'steps', params: { count }, jump }
+ * @returns {{count: number, jump: string}|null}
+ */
+function toStepsSpec(easing) {
+  if (easing === 'hold') return { count: 1, jump: 'jump-end' };
+  if (!easing || typeof easing !== 'object') return null;
+  if (Number.isFinite(easing.steps)) return normalizeSteps(easing.steps, easing.jump);
+  if (easing.name === 'steps') {
+    return normalizeSteps(resolveParams('steps', easing.params).count, easing.jump);
+  }
+  return null;
+}
+
+// ============ Piecewise Linear ============
+
+/**
+ * Validate piecewise-linear stops: at least two [t, value] pairs with
+ * non-decreasing t (equal t makes a jump, as in CSS linear())
+ * @returns {number[][]}
+ */
+function normalizeLinearStops(stops) {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    throw new Error('Linear easing needs at least 2 stops');
+  }
+  return stops.map(([t, value], i) => {
+    if (!Number.isFinite(t) || !Number.isFinite(value)) {
+      throw new Error(`Invalid linear stop: ${JSON.stringify(stops[i])}`);
+    }
+    if (i > 0 && t < stops[i - 1][0]) {
+      throw new Error('Linear stops must be in order');
+    }
+    return [t, value];
+  });
+}
+
+/**
+ * Piecewise-linear easing through [t, value] stops, evaluated like CSS
+ * linear(): outside the stops the end segments are extrapolated.
+ */
+function createLinearEasing(stops) {
+  const points = normalizeLinearStops(stops);
+  const last = points.length - 1;
+  return t => {
+    let a = 0;
+    while (a < last && points[a + 1][0] <= t) a++;
+    if (a === last) a--;
+    const [t0, v0] = points[a];
+    const [t1, v1] = points[a + 1];
+    if (t1 === t0) return v1;
+    return v0 + ((t - t0) / (t1 - t0)) * (v1 - v0);
+  };
+}
+
+/**
+ * Is this a piecewise-linear spec: { linear: [[t, value], ...] }
+ */
+function isLinearSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && Array.isArray(easing.linear));
+}
+
+/**
+ * Fitted control points for a named easing and its params (cached), or null when
+ * no single bezier is within FIT_TOLERANCE (Elastic, Bounce)
+ */
+function fitNamedEasing(name, params) {
+  if (registry.get(name).bezier === false) return null;
+  const key = `${name}:${JSON.stringify(resolveParams(name, params))}`;
+  if (!fitCache.has(key)) {
+    const fit = fitCubicBezier(createEasing(name, params));
+    fitCache.set(key, fit.maxError <= FIT_TOLERANCE ? fit.points : null);
+  }
+  return fitCache.get(key);
+}
+
+/**
+ * Is this a parameterized easing spec: { name, params }
+ */
+function isNamedSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && typeof easing.name === 'string');
+}
+
+/**
+ * Resolve an easing to normalized control points for a keyframe pair.
+ * Accepts an easing name, { name, params } or function (least-squares fitted),
+ * [x1, y1, x2, y2] control points, an influence pair { out, in } (1-100 each)
+ * a spring { spring: {...}, mode: 'stretch' }, a combinator spec,
+ * piecewise-linear stops { linear: [[t, value], ...] }, sampled points
+ * { points: [[t, value], ...], monotone } or a bezier path { path } (fitted).
+ * @returns {number[]|null} [x1, y1, x2, y2] or null if not representable
+ */
+function toControlPoints(easing) {
+  if (easing === 'linear') {
+    return [1 / 3, 1 / 3, 2 / 3, 2 / 3];
+  }
+  if (toStepsSpec(easing)) {
+    return null;
+  }
+  if (typeof easing === 'string') {
+    return registry.has(easing) ? fitNamedEasing(easing) : null;
+  }
+  if (isNamedSpec(easing)) {
+    return registry.has(easing.name) ? fitNamedEasing(easing.name, easing.params) : null;
+  }
+  if (typeof easing === 'function') {
+    const fit = fitCubicBezier(easing);
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  if (Array.isArray(easing)) {
+    assertControlPoints(easing);
+    return [...easing];
+  }
+  if (easing && typeof easing === 'object' && 'out' in easing && 'in' in easing) {
+    return influenceControlPoints(easing.out, easing.in);
+  }
+  if (isSpringSpec(easing) && easing.mode !== 'extend') {
+    const fit = fitCubicBezier(createSpringEasing(easing.spring));
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  if (isCombinatorSpec(easing)) {
+    const fit = fitCubicBezier(combine(easing));
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  if (isLinearSpec(easing)) {
+    const fit = fitCubicBezier(createLinearEasing(easing.linear));
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  if (isSampledSpec(easing)) {
+    const fit = fitCubicBezier(createSampledEasing(easing.points, easing));
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  if (isPathSpec(easing)) {
+    const fit = fitCubicBezier(createPathEasing(easing.path));
+    return fit.maxError <= FIT_TOLERANCE ? fit.points : null;
+  }
+  return null;
+}
+
+/**
+ * Resolve an easing to a function t => value.
+ * Accepts the same forms as toControlPoints.
+ * @returns {Function|null}
+ */
+function toEasingFunction(easing) {
+  if (typeof easing === 'function') return easing;
+  const steps = toStepsSpec(easing);
+  if (steps) return createStepsEasing(steps.count, steps.jump);
+  if (typeof easing === 'string') return registry.has(easing) ? easings[easing] : null;
+  if (isNamedSpec(easing)) return createEasing(easing.name, easing.params);
+  if (Array.isArray(easing)) {
+    assertControlPoints(easing);
+    return t => evaluateCubicBezier(easing, t).value;
+  }
+  if (easing && typeof easing === 'object' && 'out' in easing && 'in' in easing) {
+    return createInfluenceEasing(easing.out, easing.in);
+  }
+  if (isSpringSpec(easing)) {
+    return createSpringEasing(easing.spring);
+  }
+  if (isCombinatorSpec(easing)) {
+    return combine(easing);
+  }
+  if (isLinearSpec(easing)) {
+    return createLinearEasing(easing.linear);
+  }
+  if (isSampledSpec(easing)) {
+    return createSampledEasing(easing.points, easing);
+  }
+  if (isPathSpec(easing)) {
+    return createPathEasing(easing.path);
+  }
+  return null;
+}
+
+// ============ Combinators ============
+
+/**
+ * Resolve an easing for a combinator, failing loudly on unknown input
+ */
+function requireEasing(easing) {
+  const fn = toEasingFunction(easing);
+  if (!fn) throw new Error(`Unknown easing: ${JSON.stringify(easing)}`);
+  return fn;
+}
+
+/**
+ * Play an easing backwards: ease-in from ease-out and vice versa
+ */
+function reverseEasing(easing) {
+  const fn = requireEasing(easing);
+  return t => 1 - fn(1 - t);
+}
+
+/**
+ * Build an inOut from an ease-in: the first half eases in,
+ * the second half is its mirror image
+ */
+function mirrorEasing(easing) {
+  const fn = requireEasing(easing);
+  return t => (t < 0.5 ? fn(2 * t) / 2 : 1 - fn(2 - 2 * t) / 2);
+}
+
+/**
+ * Run one easing up to a split point, then another (e.g. expo in, sine out)
+ * @param {number} [at] - Split time (0-1)
+ * @param {number} [value] - Value at the split, defaults to the split time
+ */
+function chainEasing(first, second, at = 0.5, value = at) {
+  const a = requireEasing(first);
+  const b = requireEasing(second);
+  if (!(at > 0 && at < 1)) throw new Error('Chain split must be between 0 and 1');
+  return t => (t < at
+    ? a(t / at) * value
+    : value + b((t - at) / (1 - at)) * (1 - value));
+}
+
+/**
+ * Crossfade two easings: weight 0 is the first, 1 the second
+ */
+function blendEasing(first, second, weight = 0.5) {
+  const a = requireEasing(first);
+  const b = requireEasing(second);
+  return t => a(t) * (1 - weight) + b(t) * weight;
+}
+
+/**
+ * Dial an easing toward linear: strength 1 is the easing, 0 is linear
+ * ("a bit less than cubic" is easeInOutCubic at 0.7)
+ */
+function strengthEasing(easing, strength = 1) {
+  const fn = requireEasing(easing);
+  return t => t + (fn(t) - t) * strength;
+}
+
+/**
+ * Is this a combinator spec, e.g. { op: 'blend', easings: [a, b], weight }
+ */
+function isCombinatorSpec(easing) {
+  return Boolean(easing && typeof easing === 'object' && typeof easing.op === 'string');
+}
+
+/**
+ * Build a function from a serializable combinator spec:
+ *   { op: 'reverse', easing }
+ *   { op: 'mirror', easing }
+ *   { op: 'chain', easings: [a, b], at?, value? }
+ *   { op: 'blend', easings: [a, b], weight? }
+ *   { op: 'strength', easing, strength }
+ */
+function combine(spec) {
+  const [first, second] = spec.easings || [];
+  switch (spec.op) {
+    case 'reverse': return reverseEasing(spec.easing);
+    case 'mirror': return mirrorEasing(spec.easing);
+    case 'chain': return chainEasing(first, second, spec.at, spec.value);
+    case 'blend': return blendEasing(first, second, spec.weight);
+    case 'strength': return strengthEasing(spec.easing, spec.strength);
+    default: throw new Error(`Unknown easing combinator: ${spec.op}`);
+  }
+}
+
+// ============ Registry ============
+
+const DIRECTIONS = ['in', 'out', 'inOut', null];
+
+// Easing name -> entry (see registerEasing)
+const registry = new Map();
+
+/**
+ * Register an easing with its metadata.
+ * overshoots and bezier are measured from the curve when not given.
+ * @param {string} name - Unique easing name, e.g. 'easeOutBack'
+ * @param {Object} options
+ * @param {Function} [options.fn] - Easing function t => value
+ * @param {Function} [options.create] - Factory params => fn, for parameterized easings
+ * @param {Object[]} [options.params] - Parameter schema: { name, min, max, default, integer? }
+ * @param {string} [options.displayName] - Name shown in the UI
+ * @param {string} [options.category] - Gallery group, e.g. 'Cubic'
+ * @param {string|null} [options.direction] - 'in', 'out', 'inOut' or null
+ * @param {boolean} [options.overshoots] - Leaves the 0-1 range
+ * @param {boolean} [options.bezier] - Representable as one cubic bezier
+ */
+function registerEasing(name, options = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Easing name is required');
+  }
+  if (registry.has(name)) {
+    throw new Error(`Easing already registered: ${name}`);
+  }
+  const { fn, create, params = [], direction = null } = options;
+  if (typeof fn !== 'function' && typeof create !== 'function') {
+    throw new Error(`Easing ${name} needs fn or create`);
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid easing direction: ${direction}`);
+  }
+
+  const schema = params.map(p => ({ ...p }));
+  const defaults = {};
+  for (const p of schema) defaults[p.name] = p.default;
+
+  const entry = {
+    name,
+    displayName: options.displayName || name,
+    category: options.category || 'Custom',
+    direction,
+    params: schema,
+    create: create || (() => fn),
+    overshoots: options.overshoots,
+    bezier: options.bezier,
+  };
+  entry.fn = fn || entry.create(defaults);
+
+  registry.set(name, entry);
+  easings[name] = entry.fn;
+}
+
+/**
+ * Metadata for an easing, or null if unknown.
+ * Measured fields are computed on first request and cached.
+ * @returns {{name, displayName, category, direction, overshoots, bezier, params}|null}
+ */
+function getEasingInfo(name) {
+  const entry = registry.get(name);
+  if (!entry) return null;
+
+  if (entry.overshoots === undefined) {
+    entry.overshoots = false;
+    for (let i = 0; i <= FIT_CHECK_SAMPLES; i++) {
+      const v = entry.fn(i / FIT_CHECK_SAMPLES);
+      if (v < -1e-9 || v > 1 + 1e-9) {
+        entry.overshoots = true;
+        break;
+      }
+    }
+  }
+  if (entry.bezier === undefined) {
+    entry.bezier = fitCubicBezier(entry.fn).maxError <= FIT_TOLERANCE;
+  }
+
+  return {
+    name: entry.name,
+    displayName: entry.displayName,
+    category: entry.category,
+    direction: entry.direction,
+    overshoots: entry.overshoots,
+    bezier: entry.bezier,
+    params: entry.params.map(p => ({ ...p })),
+  };
+}
+
+/**
+ * Metadata for all easings, optionally filtered, e.g. { category: 'Back' }
+ */
+function listEasings(filter = {}) {
+  return getEasingNames()
+    .map(getEasingInfo)
+    .filter(info => Object.entries(filter).every(([key, value]) => info[key] === value));
+}
+
+/**
+ * Easing names grouped by category, in registration order
+ */
+function getEasingGroups() {
+  const groups = {};
+  for (const entry of registry.values()) {
+    (groups[entry.category] = groups[entry.category] || []).push(entry.name);
+  }
+  return groups;
+}
+
+/**
+ * Parameter schema for an easing name ([] if it has no parameters)
+ */
+function getEasingParams(name) {
+  const entry = registry.get(name);
+  return entry ? entry.params.map(p => ({ ...p })) : [];
+}
+
+/**
+ * Fill in defaults and clamp parameters to their schema ranges
+ */
+function resolveParams(name, params = {}) {
+  const resolved = {};
+  for (const p of getEasingParams(name)) {
+    let value = Number(params[p.name]);
+    if (!Number.isFinite(value)) value = p.default;
+    value = Math.min(p.max, Math.max(p.min, value));
+    resolved[p.name] = p.integer ? Math.round(value) : value;
+  }
+  return resolved;
+}
+
+/**
+ * Create an easing function by name with parameters
+ * @param {string} name - Easing name, e.g. 'easeOutBack'
+ * @param {Object} [params] - e.g. { overshoot: 3 }
+ * @returns {Function|null}
+ */
+function createEasing(name, params) {
+  const entry = registry.get(name);
+  if (!entry) return null;
+  if (entry.params.length === 0) return entry.fn;
+  return entry.create(resolveParams(name, params));
+}
+
+// Built-in easings
+const DIRECTION_LABELS = { in: 'In', out: 'Out', inOut: 'In Out' };
+
+registerEasing('linear', { fn: easings.linear, displayName: 'Linear', category: 'Basic' });
+
+for (const category of ['Quad', 'Cubic', 'Quart', 'Sine', 'Expo', 'Circ']) {
+  for (const [direction, label] of Object.entries(DIRECTION_LABELS)) {
+    const name = `ease${label.replace(' ', '')}${category}`;
+    registerEasing(name, {
+      fn: easings[name],
+      displayName: `${category} ${label}`,
+      category,
+      direction,
+    });
+  }
+}
+
+for (const [family, category] of [['poly', 'Poly'], ['back', 'Back'], ['elastic', 'Elastic'], ['bounce', 'Bounce']]) {
+  for (const [direction, label] of Object.entries(DIRECTION_LABELS)) {
+    registerEasing(`ease${label.replace(' ', '')}${category}`, {
+      create: params => t => families[family][direction](t, params),
+      params: families[family].params,
+      displayName: `${category} ${label}`,
+      category,
+      direction,
+    });
+  }
+}
+
+registerEasing('hold', {
+  fn: createStepsEasing(1, 'jump-end'),
+  displayName: 'Hold',
+  category: 'Stepped',
+  bezier: false,
+});
+
+registerEasing('steps', {
+  create: ({ count }) => createStepsEasing(count, 'jump-end'),
+  params: [{ name: 'count', min: 1, max: 100, default: 4, integer: true }],
+  displayName: 'Steps',
+  category: 'Stepped',
+  bezier: false,
+});
+
+registerEasing('spring', {
+  create: params => createSpringEasing(params),
+  params: [
+    { name: 'mass', min: 0.1, max: 10, default: SPRING_DEFAULTS.mass },
+    { name: 'stiffness', min: 1, max: 1000, default: SPRING_DEFAULTS.stiffness },
+    { name: 'damping', min: 0.1, max: 100, default: SPRING_DEFAULTS.damping },
+    { name: 'velocity', min: -50, max: 50, default: SPRING_DEFAULTS.velocity },
+  ],
+  displayName: 'Spring',
+  category: 'Spring',
+  direction: 'out',
+});
+
 /**
  * Get list of all easing names
  */
 function getEasingNames() {
-  return Object.keys(easings);
+  return [...registry.keys()];
 }
 
 /**
- * Apply easing function by name
+ * Apply easing function by name, with optional family parameters.
+ * Combine easings with reverseEasing, mirrorEasing, chainEasing,
+ * blendEasing and strengthEasing.
  */
-function applyEasing(name, t) {
-  const fn = easings[name];
+function applyEasing(name, t, params) {
+  const fn = params ? createEasing(name, params) : registry.has(name) && easings[name];
   if (!fn) return t; // Fall back to linear
   return fn(t);
 }
 
 module.exports = {
   easings,
+  families,
+  registerEasing,
+  getEasingInfo,
+  listEasings,
+  getEasingGroups,
+  getEasingParams,
+  resolveParams,
+  createEasing,
   getEasingNames,
   applyEasing,
+  solveBezierParam,
+  evaluateCubicBezier,
+  cubicBezier,
+  FIT_TOLERANCE,
+  fitCubicBezier,
+  measureFit,
+  INFLUENCE_MIN,
+  INFLUENCE_MAX,
+  influenceControlPoints,
+  evaluateInfluence,
+  influenceDerivative,
+  createInfluenceEasing,
+  influenceToHandles,
+  toControlPoints,
+  toEasingFunction,
+  SPRING_DEFAULTS,
+  springValue,
+  springSettleDuration,
+  springFirstCrossing,
+  createSpringEasing,
+  createExtendedSpring,
+  isSpringSpec,
+  normalizeSamples,
+  createSampledEasing,
+  isSampledSpec,
+  normalizePath,
+  createPathEasing,
+  isPathSpec,
+  createStepsEasing,
+  toStepsSpec,
+  createLinearEasing,
+  isLinearSpec,
+  reverseEasing,
+  mirrorEasing,
+  chainEasing,
+  blendEasing,
+  strengthEasing,
+  combine,
 };
@@ -0,0 +1,304 @@
+/**
+ * Multi-Keyframe Expansion
+ * Reproduce curves that can't be a single bezier (Elastic, Bounce, ...)
+ * with intermediate keyframes between a keyframe pair.
+ *
+ * Works in normalized pair space: t and value run 0-1 from the first key
+ * to the second. Handles are relative offsets in the same space, so the
+ * bridge scales them by the pair's frame and value deltas. Nodes past
+ * t = 1 are settle keys after the second key (extended springs).
+ */
+
+'use strict';
+
+const {
+  solveBezierParam,
+  toControlPoints,
+  toEasingFunction,
+  isSpringSpec,
+  createExtendedSpring,
+  createStepsEasing,
+  toStepsSpec,
+  normalizePath,
+  isPathSpec,
+} = require('./easing');
+
+// Max deviation from the easing, as a fraction of the value change
+const EXPAND_TOLERANCE = 0.005;
+
+const CRITICAL_SAMPLES = 1000;
+const SEGMENT_SAMPLES = 32;
+const CHECK_SAMPLES = 2000;
+const MIN_SEGMENT = 1e-3;
+const MAX_DEPTH = 12;
+
+/**
+ * @typedef {Object} EasingNode
+ * @property {number} t - Normalized time (0-1)
+ * @property {number} value - Normalized value
+ * @property {number[]} [LH] - Relative [t, value] offset of the left handle
+ * @property {number[]} [RH] - Relative [t, value] offset of the right handle
+ * @property {Object} [flags] - Fusion keyframe flags (StepIn, StepOut)
+ */
+
+/**
+ * Find peaks and contacts: points where the curve changes direction.
+ * Bounce contacts are sharp maxima, so they show up here too.
+ */
+function findCriticalPoints(fn, end = 1) {
+  const points = [];
+  const samples = Math.ceil(CRITICAL_SAMPLES * end);
+  let prev = fn(0);
+  let prevDir = 0;
+  for (let i = 1; i <= samples; i++) {
+    const t = (i / samples) * end;
+    const v = fn(t);
+    const dir = Math.sign(v - prev);
+    if (dir !== 0) {
+      if (prevDir !== 0 && dir !== prevDir) {
+        points.push(refineExtremum(fn, t - (2 * end) / samples, t, prevDir > 0));
+      }
+      prevDir = dir;
+    }
+    prev = v;
+  }
+  return points;
+}
+
+/**
+ * Ternary search for the exact extremum within [lo, hi]
+ */
+function refineExtremum(fn, lo, hi, isMax) {
+  lo = Math.max(0, lo);
+  for (let i = 0; i < 60; i++) {
+    const m1 = lo + (hi - lo) / 3;
+    const m2 = hi - (hi - lo) / 3;
+    const better = isMax ? fn(m1) < fn(m2) : fn(m1) > fn(m2);
+    if (better) lo = m1;
+    else hi = m2;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Value of a segment's bezier at time t
+ */
+function segmentValue(seg, t) {
+  const x = (t - seg.t0) / (seg.t1 - seg.t0);
+  const s = solveBezierParam(seg.a, 1 - seg.b, Math.max(0, Math.min(1, x)));
+  const u = 1 - s;
+  const p1 = seg.v0 + seg.a * (seg.t1 - seg.t0) * seg.m0;
+  const p2 = seg.v1 - seg.b * (seg.t1 - seg.t0) * seg.m1;
+  return u * u * u * seg.v0 + 3 * u * u * s * p1 + 3 * u * s * s * p2 + s * s * s * seg.v1;
+}
+
+/**
+ * Max deviation of a segment from fn over its span
+ */
+function segmentError(fn, seg, samples = SEGMENT_SAMPLES) {
+  let maxError = 0;
+  let maxErrorAt = seg.t0;
+  for (let i = 1; i < samples; i++) {
+    const t = seg.t0 + (seg.t1 - seg.t0) * (i / samples);
+    const err = Math.abs(segmentValue(seg, t) - fn(t));
+    if (err > maxError) {
+      maxError = err;
+      maxErrorAt = t;
+    }
+  }
+  return { maxError, maxErrorAt };
+}
+
+/**
+ * Fit one segment as a Hermite-style bezier: tangents come from the
+ * one-sided slopes of fn, handle lengths are searched to minimize error.
+ */
+function fitSegment(fn, t0, t1) {
+  const h = Math.min(1e-6, (t1 - t0) / 10);
+  const v0 = fn(t0);
+  const v1 = fn(t1);
+  // Slopes are taken just inside the segment: the Penner formulas special-case
+  // t = 0 and t = 1, which would otherwise read as a spike
+  const base = {
+    t0, t1, v0, v1,
+    m0: (fn(t0 + 2 * h) - fn(t0 + h)) / h,
+    m1: (fn(t1 - h) - fn(t1 - 2 * h)) / h,
+  };
+
+  let best = { ...base, a: 1 / 3, b: 1 / 3 };
+  best = { ...best, ...segmentError(fn, best) };
+  let step = 0.1;
+  while (step > 1e-3) {
+    let improved = false;
+    for (const [da, db] of [[step, 0], [-step, 0], [0, step], [0, -step]]) {
+      const a = Math.max(0.01, Math.min(1, best.a + da));
+      const b = Math.max(0.01, Math.min(1, best.b + db));
+      const candidate = { ...base, a, b };
+      Object.assign(candidate, segmentError(fn, candidate));
+      if (candidate.maxError < best.maxError) {
+        best = candidate;
+        improved = true;
+      }
+    }
+    if (!improved) step /= 2;
+  }
+  return best;
+}
+
+/**
+ * Fit [t0, t1], splitting at critical points (or the worst point) until
+ * every segment is within tolerance
+ */
+function expandSegment(fn, t0, t1, criticals, tolerance, depth, out) {
+  const seg = fitSegment(fn, t0, t1);
+  if (seg.maxError <= tolerance || depth >= MAX_DEPTH || t1 - t0 < 2 * MIN_SEGMENT) {
+    out.push(seg);
+    return;
+  }
+
+  // Prefer splitting at the peak or contact the segment misses the most
+  const inside = criticals.filter(c => c > t0 + MIN_SEGMENT && c < t1 - MIN_SEGMENT);
+  let split = seg.maxErrorAt;
+  if (inside.length > 0) {
+    split = inside.reduce((best, c) =>
+      Math.abs(fn(c) - segmentValue(seg, c)) > Math.abs(fn(best) - segmentValue(seg, best)) ? c : best);
+  }
+  split = Math.max(t0 + MIN_SEGMENT, Math.min(t1 - MIN_SEGMENT, split));
+
+  expandSegment(fn, t0, split, criticals, tolerance, depth + 1, out);
+  expandSegment(fn, split, t1, criticals, tolerance, depth + 1, out);
+}
+
+/**
+ * Expand an easing into the minimal set of keyframes that reproduces it
+ * within tolerance
+ * @param {Function} fn - Easing function t => value
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Max normalized deviation
+ * @param {number} [options.end] - Last t to expand; t = 1 is always a key
+ * @returns {{nodes: EasingNode[], maxError: number}}
+ */
+function expandEasing(fn, { tolerance = EXPAND_TOLERANCE, end = 1 } = {}) {
+  const segments = [];
+  const criticals = findCriticalPoints(fn, end);
+  expandSegment(fn, 0, 1, criticals, tolerance, 0, segments);
+  if (end > 1) {
+    expandSegment(fn, 1, end, criticals, tolerance, 0, segments);
+  }
+
+  const nodes = [{ t: 0, value: fn(0) }];
+  for (const seg of segments) {
+    const dt = seg.t1 - seg.t0;
+    nodes[nodes.length - 1].RH = [seg.a * dt, seg.a * dt * seg.m0];
+    nodes.push({ t: seg.t1, value: seg.v1, LH: [-seg.b * dt, -seg.b * dt * seg.m1] });
+  }
+
+  let maxError = 0;
+  let i = 0;
+  for (let k = 0; k <= CHECK_SAMPLES; k++) {
+    const t = (k / CHECK_SAMPLES) * end;
+    while (i < segments.length - 1 && t > segments[i].t1) i++;
+    maxError = Math.max(maxError, Math.abs(segmentValue(segments[i], t) - fn(t)));
+  }
+
+  return { nodes, maxError };
+}
+
+/**
+ * Stepped nodes for steps(count, jump).
+ *
+ * Fusion holds values with keyframe flags: StepOut keeps a key's value
+ * until the next key, StepIn jumps to a key's value right after the
+ * previous one. Every jump sits on a StepOut key. When the curve has
+ * already jumped at t = 0 (jump-start, jump-both) the first key can't
+ * carry that value, so an extra key mid-way through the first step
+ * covers it from both sides.
+ * @returns {EasingNode[]}
+ */
+function stepNodes({ count, jump }) {
+  const fn = createStepsEasing(count, jump);
+  const stepValue = i => fn((i + 0.5) / count);
+
+  const nodes = [{ t: 0, value: 0 }];
+  if (stepValue(0) === 0) {
+    nodes[0].flags = { StepOut: true };
+  } else {
+    nodes.push({ t: 0.5 / count, value: stepValue(0), flags: { StepIn: true, StepOut: true } });
+  }
+  for (let i = 1; i < count; i++) {
+    nodes.push({ t: i / count, value: stepValue(i), flags: { StepOut: true } });
+  }
+  nodes.push({ t: 1, value: 1 });
+  return nodes;
+}
+
+/**
+ * Nodes for a bezier path: one per segment joint, handles straight
+ * from the segment control points, so the path is reproduced exactly
+ * @returns {EasingNode[]}
+ */
+function pathNodes(segments) {
+  const path = normalizePath(segments);
+  const nodes = [{ t: path[0][0][0], value: path[0][0][1] }];
+  for (const [p0, p1, p2, p3] of path) {
+    nodes[nodes.length - 1].RH = [p1[0] - p0[0], p1[1] - p0[1]];
+    nodes.push({ t: p3[0], value: p3[1], LH: [p2[0] - p3[0], p2[1] - p3[1]] });
+  }
+  return nodes;
+}
+
+/**
+ * Nodes for any easing: two for a single bezier, more for curves
+ * that need expansion
+ * @param {string|Function|Object|number[]} easing
+ * @returns {EasingNode[]|null}
+ */
+function easingToNodes(easing, options) {
+  const steps = toStepsSpec(easing);
+  if (steps) return stepNodes(steps);
+  if (isPathSpec(easing)) return pathNodes(easing.path);
+
+  const points = toControlPoints(easing);
+  if (points) {
+    const [x1, y1, x2, y2] = points;
+    return [
+      { t: 0, value: 0, RH: [x1, y1] },
+      { t: 1, value: 1, LH: [x2 - 1, y2 - 1] },
+    ];
+  }
+
+  if (isSpringSpec(easing) && easing.mode === 'extend') {
+    const { fn, end } = createExtendedSpring(easing.spring);
+    if (end > 1) return expandEasing(fn, { ...options, end }).nodes;
+    return easingToNodes({ ...easing, mode: 'stretch' }, options);
+  }
+
+  const fn = toEasingFunction(easing);
+  return fn ? expandEasing(fn, options).nodes : null;
+}
+
+/**
+ * Scale normalized nodes to canonical keyframes for a keyframe pair
+ * @returns {import('./keyframes').Keyframe[]}
+ */
+function nodesToKeyframes(nodes, frame1, value1, frame2, value2) {
+  const df = frame2 - frame1;
+  const dv = value2 - value1;
+  return nodes.map(node => {
+    const kf = { frame: frame1 + node.t * df, value: value1 + node.value * dv };
+    if (node.LH) kf.LH = [node.LH[0] * df, node.LH[1] * dv];
+    if (node.RH) kf.RH = [node.RH[0] * df, node.RH[1] * dv];
+    if (node.flags) kf.flags = { ...node.flags };
+    return kf;
+  });
+}
+
+module.exports = {
+  EXPAND_TOLERANCE,
+  findCriticalPoints,
+  expandEasing,
+  stepNodes,
+  pathNodes,
+  easingToNodes,
+  nodesToKeyframes,
+};
@@ -0,0 +1,209 @@
+/**
+ * Keyframe Model
+ * One canonical keyframe type for everything that reads or writes splines
+ *
+ * Fusion handles are RELATIVE offsets from their keyframe, not absolute
+ * positions. GetKeyFrames returns LH with negative X (e.g. -11.67), which
+ * only makes sense as "11.67 frames to the left".
+ *
+ *   RH: positive X = to the right, positive Y = toward higher values
+ *   LH: negative X = to the left, negative Y = toward lower values
+ *
+ * Linear from (33, 0) to (68, 1):
+ *   [33] = { 0, RH = { 11.67, 0.333 } }
+ *   [68] = { 1, LH = { -11.67, -0.333 } }
+ */
+
+'use strict';
+
+const { toControlPoints } = require('./easing');
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {number} frame
+ * @property {number} value
+ * @property {number[]} [LH] - Relative [x, y] offset of the left handle
+ * @property {number[]} [RH] - Relative [x, y] offset of the right handle
+ * @property {Object} [flags] - Fusion keyframe flags, passed through untouched
+ */
+
+/**
+ * Coerce to a finite number (0 otherwise)
+ */
+function toNumber(n) {
+  const num = Number(n);
+  return Number.isFinite(num) ? num : 0;
+}
+
+/**
+ * Normalize a handle: [x, y], { x, y } or a JSON-encoded Lua table { 1: x, 2: y }
+ * @returns {number[]|undefined}
+ */
+function normalizeHandle(handle) {
+  if (!handle || typeof handle !== 'object') return undefined;
+  if (Array.isArray(handle)) return [toNumber(handle[0]), toNumber(handle[1])];
+  if ('x' in handle || 'y' in handle) return [toNumber(handle.x), toNumber(handle.y)];
+  return [toNumber(handle[1]), toNumber(handle[2])];
+}
+
+/**
+ * Extract the value from any keyframe representation:
+ * scalar, [value], { value }, or a JSON-encoded Lua table { 1: value }
+ */
+function extractValue(data) {
+  if (Array.isArray(data)) return toNumber(data[0]);
+  if (data && typeof data === 'object') {
+    if (data.value !== undefined) {
+      // Unwrap double-wrapped values ({ value: { value: x } })
+      return extractValue(data.value);
+    }
+    return toNumber(data[1]);
+  }
+  return toNumber(data);
+}
+
+/**
+ * Normalize a single keyframe
+ * @param {number|string} frame
+ * @param {*} data - Any Fusion keyframe representation
+ * @returns {Keyframe}
+ */
+function normalizeKeyframe(frame, data) {
+  const kf = { frame: toNumber(frame), value: extractValue(data) };
+  if (data && typeof data === 'object') {
+    const lh = normalizeHandle(data.LH);
+    const rh = normalizeHandle(data.RH);
+    if (lh) kf.LH = lh;
+    if (rh) kf.RH = rh;
+    const flags = data.flags || data.Flags;
+    if (flags && typeof flags === 'object') kf.flags = { ...flags };
+  }
+  return kf;
+}
+
+/**
+ * Parse Fusion keyframes into canonical form, sorted by frame.
+ * Accepts a table keyed by frame ({ [frame]: data }) or a list of
+ * { frame, value, LH?, RH? } as returned by bridge.getKeyframes.
+ * @returns {Keyframe[]}
+ */
+function fromFusionFormat(fusionKeyframes) {
+  if (!fusionKeyframes) return [];
+
+  const list = Array.isArray(fusionKeyframes)
+    ? fusionKeyframes.map(kf => normalizeKeyframe(kf.frame, kf))
+    : Object.entries(fusionKeyframes).map(([frame, data]) => normalizeKeyframe(frame, data));
+
+  return list.sort((a, b) => a.frame - b.frame);
+}
+
+/**
+ * Convert canonical keyframes back to a Fusion keyframe table.
+ * Each entry mirrors the Lua table { value, LH = {x, y}, RH = {x, y} },
+ * with the value at index 1.
+ * @param {Keyframe[]} keyframes
+ * @returns {Object} { [frame]: { 1: value, LH?, RH?, Flags? } }
+ */
+function toFusionFormat(keyframes) {
+  const result = {};
+  for (const kf of keyframes) {
+    const entry = { 1: toNumber(kf.value) };
+    if (kf.LH) entry.LH = [toNumber(kf.LH[0]), toNumber(kf.LH[1])];
+    if (kf.RH) entry.RH = [toNumber(kf.RH[0]), toNumber(kf.RH[1])];
+    if (kf.flags) entry.Flags = { ...kf.flags };
+    result[toNumber(kf.frame)] = entry;
+  }
+  return result;
+}
+
+/**
+ * Calculate Fusion handles for a keyframe pair.
+ * Returns the RH of the first key and the LH of the second as relative offsets.
+ * @param {string|Object} easing - Easing accepted by easing.toControlPoints
+ * @returns {{rh1: {x: number, y: number}, lh2: {x: number, y: number}}|null}
+ */
+function calculateHandles(easing, frame1, value1, frame2, value2) {
+  const points = toControlPoints(easing);
+  if (!points) return null;
+
+  const [x1, y1, x2, y2] = points;
+  const frameDelta = frame2 - frame1;
+  const valueDelta = value2 - value1;
+
+  return {
+    rh1: { x: frameDelta * x1, y: valueDelta * y1 },
+    lh2: { x: frameDelta * (x2 - 1), y: valueDelta * (y2 - 1) },
+  };
+}
+
+/**
+ * Copy keyframes so callers never mutate their input
+ */
+function cloneKeyframes(keyframes) {
+  return keyframes.map(kf => {
+    const copy = { ...kf };
+    if (kf.LH) copy.LH = [...kf.LH];
+    if (kf.RH) copy.RH = [...kf.RH];
+    if (kf.flags) copy.flags = { ...kf.flags };
+    return copy;
+  });
+}
+
+/**
+ * Apply easing to a specific keyframe pair only.
+ * Other keyframes and handles are preserved unchanged.
+ * @param {Keyframe[]} keyframes
+ * @param {string|Object} easing
+ * @param {number} frame1 - First keyframe frame
+ * @param {number} frame2 - Second keyframe frame
+ * @returns {Keyframe[]} New keyframe list
+ */
+function applyEasingToKeyframePair(keyframes, easing, frame1, frame2) {
+  if (frame1 >= frame2) {
+    throw new Error('frame1 must be less than frame2');
+  }
+
+  const result = cloneKeyframes(keyframes);
+  const kf1 = result.find(kf => kf.frame === frame1);
+  const kf2 = result.find(kf => kf.frame === frame2);
+  if (!kf1 || !kf2) {
+    throw new Error(`Keyframes at ${frame1} and ${frame2} must exist`);
+  }
+
+  const handles = calculateHandles(easing, kf1.frame, kf1.value, kf2.frame, kf2.value);
+  if (!handles) {
+    throw new Error('Easing cannot be applied as bezier handles');
+  }
+
+  kf1.RH = [handles.rh1.x, handles.rh1.y];
+  kf2.LH = [handles.lh2.x, handles.lh2.y];
+  return result;
+}
+
+/**
+ * Apply easing handles to ALL consecutive keyframe pairs
+ * @param {Keyframe[]} keyframes
+ * @param {string|Object} easing
+ * @returns {Keyframe[]} New keyframe list
+ */
+function applyEasingToKeyframes(keyframes, easing) {
+  if (keyframes.length < 2) {
+    throw new Error('Need at least 2 keyframes to apply easing');
+  }
+
+  let result = keyframes;
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    result = applyEasingToKeyframePair(result, easing, keyframes[i].frame, keyframes[i + 1].frame);
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeHandle,
+  normalizeKeyframe,
+  fromFusionFormat,
+  toFusionFormat,
+  calculateHandles,
+  applyEasingToKeyframePair,
+  applyEasingToKeyframes,
+};
@@ -0,0 +1,158 @@
+/**
+ * Lottie Export
+ * Convert canonical keyframes to Lottie (Bodymovin) keyframe JSON.
+ *
+ * Lottie stores each segment's easing as normalized tangents on the
+ * segment's first keyframe: `o` is the out tangent and `i` the in tangent,
+ * both as fractions of the segment's duration and value change.
+ * Fusion handles are relative offsets, so for a segment (k0, k1):
+ *
+ *   o = { x: k0.RH.x / df, y: k0.RH.y / dv }
+ *   i = { x: 1 + k1.LH.x / df, y: 1 + k1.LH.y / dv }
+ *
+ * Segments without handles are linear; stepped segments become holds
+ * (h: 1) of the value Fusion shows between the keys: k0's for StepOut,
+ * k1's for StepIn.
+ */
+
+'use strict';
+
+const LOTTIE_VERSION = '5.7.4';
+
+/**
+ * Normalized out/in tangents for a segment
+ * @param {import('./keyframes').Keyframe} k0
+ * @param {import('./keyframes').Keyframe} k1
+ * @returns {{o: {x: number, y: number}, i: {x: number, y: number}}}
+ */
+function segmentTangents(k0, k1) {
+  const df = k1.frame - k0.frame;
+  const dv = k1.value - k0.value;
+  const clampX = x => Math.max(0, Math.min(1, x));
+  // A flat segment has no value change to normalize against
+  const normY = (y, fallback) => (dv === 0 ? fallback : y / dv);
+
+  const o = k0.RH
+    ? { x: clampX(k0.RH[0] / df), y: normY(k0.RH[1], 0) }
+    : { x: 0, y: 0 };
+  const i = k1.LH
+    ? { x: clampX(1 + k1.LH[0] / df), y: 1 + normY(k1.LH[1], 0) }
+    : { x: 1, y: 1 };
+  return { o, i };
+}
+
+/**
+ * Value a stepped segment holds from k0 to k1, or null if it's a curve.
+ * StepOut on k0 keeps k0's value until k1; StepIn on k1 jumps to k1's
+ * value right after k0 (see stepNodes in expand.js).
+ * @returns {number|null}
+ */
+function holdValue(k0, k1) {
+  if (k0.flags && k0.flags.StepOut) return k0.value;
+  if (k1.flags && k1.flags.StepIn) return k1.value;
+  return null;
+}
+
+/**
+ * Convert canonical keyframes to Lottie keyframes
+ * @param {import('./keyframes').Keyframe[]} keyframes - Sorted by frame
+ * @returns {Object[]} Lottie keyframes: { t, s, o, i } or { t, s, h: 1 }
+ */
+function toLottieKeyframes(keyframes) {
+  return keyframes.map((k0, idx) => {
+    const kf = { t: k0.frame, s: [k0.value] };
+    const k1 = keyframes[idx + 1];
+    if (!k1) return kf;
+    const hold = holdValue(k0, k1);
+    if (hold !== null) {
+      kf.s = [hold];
+      kf.h = 1;
+      return kf;
+    }
+    const { o, i } = segmentTangents(k0, k1);
+    kf.o = { x: [o.x], y: [o.y] };
+    kf.i = { x: [i.x], y: [i.y] };
+    return kf;
+  });
+}
+
+/**
+ * Lottie property for keyframes: animated with two or more, static otherwise
+ * @param {import('./keyframes').Keyframe[]} keyframes
+ * @returns {{a: number, k: *}}
+ */
+function toLottieProperty(keyframes) {
+  if (keyframes.length < 2) {
+    return { a: 0, k: keyframes.length ? keyframes[0].value : 0 };
+  }
+  return { a: 1, k: toLottieKeyframes(keyframes) };
+}
+
+/**
+ * Lottie document with the animation on a null layer's Slider Control,
+ * the way Bodymovin exports expression controls. The app team can link
+ * the slider to any property.
+ * @param {Object} options
+ * @param {import('./keyframes').Keyframe[]} options.keyframes
+ * @param {number} options.frameRate - Frames per second
+ * @param {number} options.inPoint - First frame
+ * @param {number} options.outPoint - Last frame (inclusive)
+ * @param {string} [options.name] - Layer and slider name, e.g. 'Transform1.Size'
+ * @param {number} [options.width=1920]
+ * @param {number} [options.height=1080]
+ * @returns {Object}
+ */
+function toLottieAnimation({ keyframes, frameRate, inPoint, outPoint, name = 'Animation', width = 1920, height = 1080 }) {
+  if (!(frameRate > 0)) throw new Error('Frame rate must be positive');
+  if (!(outPoint >= inPoint)) throw new Error('Out point must not be before in point');
+
+  // Lottie's out point is exclusive
+  const ip = inPoint;
+  const op = outPoint + 1;
+  return {
+    v: LOTTIE_VERSION,
+    fr: frameRate,
+    ip,
+    op,
+    w: width,
+    h: height,
+    nm: name,
+    ddd: 0,
+    assets: [],
+    layers: [{
+      ddd: 0,
+      ind: 1,
+      ty: 3,
+      nm: name,
+      sr: 1,
+      ks: {
+        o: { a: 0, k: 100 },
+        r: { a: 0, k: 0 },
+        p: { a: 0, k: [0, 0, 0] },
+        a: { a: 0, k: [0, 0, 0] },
+        s: { a: 0, k: [100, 100, 100] },
+      },
+      ef: [{
+        ty: 5,
+        nm: name,
+        np: 3,
+        ix: 1,
+        en: 1,
+        ef: [{ ty: 0, nm: 'Slider', ix: 1, v: toLottieProperty(keyframes) }],
+      }],
+      ao: 0,
+      ip,
+      op,
+      st: 0,
+      bm: 0,
+    }],
+  };
+}
+
+module.exports = {
+  LOTTIE_VERSION,
+  segmentTangents,
+  toLottieKeyframes,
+  toLottieProperty,
+  toLottieAnimation,
+};
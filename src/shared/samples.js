@@ -0,0 +1,107 @@
+/**
+ * Sampled Easing Import
+ * Read (t, value) points from JSON or CSV and register them as an easing.
+ *
+ * JSON: [[t, value], ...], [{ t, value }, ...] ({ x, y } also works),
+ *       optionally wrapped as { points: [...] }
+ * CSV:  one "t,value" row per point; a header row, blank lines and
+ *       # comments are skipped. Commas, semicolons or tabs separate columns.
+ */
+
+'use strict';
+
+const { registerEasing, normalizeSamples, createSampledEasing } = require('./easing');
+
+/**
+ * Coerce one JSON point to [t, value]
+ */
+function jsonPoint(point) {
+  if (Array.isArray(point)) return [Number(point[0]), Number(point[1])];
+  if (point && typeof point === 'object') {
+    const t = 't' in point ? point.t : point.x;
+    const value = 'value' in point ? point.value : 'v' in point ? point.v : point.y;
+    return [Number(t), Number(value)];
+  }
+  throw new Error(`Invalid sample point: ${JSON.stringify(point)}`);
+}
+
+/**
+ * Parse sample points from JSON text
+ * @returns {number[][]} [t, value] pairs as written
+ */
+function parseSamplesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  const points = Array.isArray(data) ? data : data && data.points;
+  if (!Array.isArray(points)) {
+    throw new Error('JSON must be a list of points or { points: [...] }');
+  }
+  return points.map(jsonPoint);
+}
+
+/**
+ * Parse sample points from CSV text
+ * @returns {number[][]} [t, value] pairs as written
+ */
+function parseSamplesCsv(text) {
+  const points = [];
+  let firstRow = true;
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    const row = line.trim();
+    if (!row || row.startsWith('#')) return;
+    const cells = row.split(/[,;\t]/).map(cell => cell.trim());
+    const valid = cells.length >= 2 && cells[0] !== '' && cells[1] !== '' &&
+      Number.isFinite(Number(cells[0])) && Number.isFinite(Number(cells[1]));
+    const isHeader = firstRow && !valid;
+    firstRow = false;
+    if (isHeader) return;
+    if (!valid) {
+      throw new Error(`Invalid CSV row ${i + 1}: "${row}"`);
+    }
+    points.push([Number(cells[0]), Number(cells[1])]);
+  });
+  return points;
+}
+
+/**
+ * Parse sample points from JSON or CSV text
+ * @param {string} text
+ * @param {string} [format] - 'json' or 'csv'; detected from the text when omitted
+ * @returns {number[][]}
+ */
+function parseSamples(text, format) {
+  const kind = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+  if (kind === 'json') return parseSamplesJson(text);
+  if (kind === 'csv') return parseSamplesCsv(text);
+  throw new Error(`Unknown sample format: ${format}`);
+}
+
+/**
+ * Register sampled points as a named easing
+ * @param {string} name - Registry name
+ * @param {Array<number[]|{t: number, value: number}>} points
+ * @param {Object} [options]
+ * @param {boolean} [options.monotone=true] - false lets the curve overshoot
+ * @param {string} [options.displayName]
+ * @returns {{points: number[][], monotone: boolean}} Spec with normalized points
+ */
+function registerSampledEasing(name, points, { monotone = true, displayName } = {}) {
+  const spec = { points: normalizeSamples(points), monotone };
+  registerEasing(name, {
+    fn: createSampledEasing(spec.points, spec),
+    displayName,
+    category: 'Custom',
+  });
+  return spec;
+}
+
+module.exports = {
+  parseSamplesJson,
+  parseSamplesCsv,
+  parseSamples,
+  registerSampledEasing,
+};
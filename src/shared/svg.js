@@ -0,0 +1,179 @@
+/**
+ * SVG Path Import
+ * Turn an SVG path "d" string drawn in a vector tool into an easing.
+ *
+ * The path is scaled so its start is (0, 0) and its end (1, 1). SVG's y
+ * axis points down, so a curve drawn rising on screen still eases 0 -> 1.
+ * A single segment becomes [x1, y1, x2, y2] control points; more segments
+ * become { path } and expand to one keyframe per joint.
+ *
+ * Supported commands: M, C, S, L, H, V (and their relative forms).
+ */
+
+'use strict';
+
+const { registerEasing, normalizePath, toEasingFunction } = require('./easing');
+
+const TOKEN = /[MmCcSsLlHhVvZzAaQqTt]|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/g;
+
+// Numbers each command takes per repetition
+const ARITY = { M: 2, C: 6, S: 4, L: 2, H: 1, V: 1 };
+
+/**
+ * Split path data into commands and numbers
+ */
+function tokenize(d) {
+  const tokens = String(d).match(TOKEN) || [];
+  const leftover = String(d).replace(TOKEN, '').replace(/[\s,]+/g, '');
+  if (leftover) {
+    throw new Error(`Invalid path data near "${leftover.slice(0, 10)}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse path data into absolute cubic segments in SVG coordinates.
+ * Lines become cubics with handles at 1/3 and 2/3.
+ * @param {string} d - SVG path data
+ * @returns {number[][][]} [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] per segment
+ */
+function parseSvgPath(d) {
+  const tokens = tokenize(d);
+  const segments = [];
+  let current = null;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+
+  const line = (x, y) => {
+    const [x0, y0] = current;
+    segments.push([
+      current,
+      [x0 + (x - x0) / 3, y0 + (y - y0) / 3],
+      [x0 + (2 * (x - x0)) / 3, y0 + (2 * (y - y0)) / 3],
+      [x, y],
+    ]);
+    current = [x, y];
+    lastControl = null;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      throw new Error('Path data must start with M');
+    }
+
+    const upper = command.toUpperCase();
+    if (!ARITY[upper]) {
+      throw new Error(`Unsupported path command: ${command}`);
+    }
+    if (!current && upper !== 'M') {
+      throw new Error('Path data must start with M');
+    }
+
+    const args = tokens.slice(i, i + ARITY[upper]).map(Number);
+    if (args.length < ARITY[upper] || args.some(n => Number.isNaN(n))) {
+      throw new Error(`${command} needs ${ARITY[upper]} numbers`);
+    }
+    i += ARITY[upper];
+
+    const relative = command !== upper;
+    const [ox, oy] = relative && current ? current : [0, 0];
+    const abs = args.map((n, k) => n + (k % 2 === 0 ? ox : oy));
+
+    switch (upper) {
+      case 'M':
+        if (current) throw new Error('Path must be a single subpath');
+        current = abs;
+        // Extra coordinate pairs after M are line-tos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        line(abs[0], abs[1]);
+        break;
+      case 'H':
+        line(args[0] + (relative ? current[0] : 0), current[1]);
+        break;
+      case 'V':
+        line(current[0], args[0] + (relative ? current[1] : 0));
+        break;
+      case 'C':
+        segments.push([current, [abs[0], abs[1]], [abs[2], abs[3]], [abs[4], abs[5]]]);
+        lastControl = [abs[2], abs[3]];
+        current = [abs[4], abs[5]];
+        break;
+      case 'S': {
+        // First handle mirrors the previous curve's second handle
+        const c1 = lastControl
+          ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]]
+          : current;
+        segments.push([current, c1, [abs[0], abs[1]], [abs[2], abs[3]]]);
+        lastControl = [abs[0], abs[1]];
+        current = [abs[2], abs[3]];
+        break;
+      }
+    }
+  }
+
+  if (segments.length === 0) {
+    throw new Error('Path has no segments');
+  }
+  return segments;
+}
+
+/**
+ * Convert SVG path data into an easing spec
+ * @param {string} d - SVG path data
+ * @returns {number[]|{path: number[][][]}} Control points or a bezier path
+ */
+function svgToEasing(d) {
+  let segments = parseSvgPath(d);
+  const [x0, y0] = segments[0][0];
+  const [x1, y1] = segments[segments.length - 1][3];
+  if (x1 === x0) {
+    throw new Error('Path must span some width');
+  }
+  if (y1 === y0) {
+    throw new Error('Path must start and end at different heights');
+  }
+  // Drawn right to left: walk it the other way
+  if (x1 < x0) {
+    segments = segments.reverse().map(seg => [...seg].reverse());
+  }
+
+  // "+ 0" turns the -0 of a flipped y axis into 0
+  const [sx, sy] = segments[0][0];
+  const [ex, ey] = segments[segments.length - 1][3];
+  const path = normalizePath(segments.map(seg =>
+    seg.map(([x, y]) => [(x - sx) / (ex - sx) + 0, (y - sy) / (ey - sy) + 0])));
+
+  if (path.length === 1) {
+    const [, p1, p2] = path[0];
+    return [p1[0], p1[1], p2[0], p2[1]];
+  }
+  return { path };
+}
+
+/**
+ * Import SVG path data and register it under a name
+ * @param {string} name - Registry name
+ * @param {string} d - SVG path data
+ * @param {Object} [options] - displayName
+ * @returns {number[]|{path: number[][][]}} The easing spec
+ */
+function registerSvgEasing(name, d, { displayName } = {}) {
+  const spec = svgToEasing(d);
+  registerEasing(name, {
+    fn: toEasingFunction(spec),
+    displayName,
+    category: 'Custom',
+  });
+  return spec;
+}
+
+module.exports = {
+  parseSvgPath,
+  svgToEasing,
+  registerSvgEasing,
+};